@@ -1,72 +1,62 @@
 // background.js - Manifest V3 service worker for LinkedIn Job Stats (CDP)
 
+importScripts("settings.js", "panel-state.js", "stats-cache.js", "stats-store.js", "job-posting.js", "job-endpoints.js", "toolbar-badge.js", "watchlist.js", "job-alerts.js", "job-application.js");
+
 const JOB_STATS_CACHE_MAX_SIZE = 100;
-const JOB_STATS_CACHE_TTL = 5 * 60 * 1000; // 5 minutes TTL
 const DEBOUNCE_DELAY_MS = 350;
+const MAX_PENDING_REQUESTS = 5; // Responses kept per job while its timer is pending
+const JOBS_URL_PREFIX = "https://www.linkedin.com/jobs";
 
-let debuggeeTabId = null;
-let jobDebounceTimer = null;
+const jobStatsHistory = new JobStatsHistory();
+const watchlist = new JobWatchlist();
+const jobAlerts = new JobAlerts();
+let settings = JobStatsSettings.getDefaults();
 
-class JobStatsCache {
-  constructor(maxSize, ttl) {
-    this.maxSize = maxSize;
-    this.ttl = ttl;
-    this.cache = new Map();
-  }
+// One debugger session per LinkedIn jobs tab, each with its own cache and pending reads.
+// activeJobId is the job open in the tab, as reported by the content script.
+const tabSessions = new Map();
+// Tabs where the user dismissed the debugging infobar; not re-attached until reopened
+const canceledTabIds = new Set();
 
-  get(jobId) {
-    const entry = this.cache.get(jobId);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > this.ttl) {
-      this.cache.delete(jobId);
-      return null;
-    }
-    // Refresh LRU position
-    this.cache.delete(jobId);
-    this.cache.set(jobId, entry);
-    return entry.stats;
-  }
-
-  set(jobId, stats) {
-    if (this.cache.has(jobId)) {
-      this.cache.delete(jobId);
-    } else if (this.cache.size >= this.maxSize) {
-      // Evict oldest entry (LRU)
-      const oldestKey = this.cache.keys().next().value;
-      this.cache.delete(oldestKey);
-    }
-    this.cache.set(jobId, { stats, timestamp: Date.now() });
-  }
-
-  clear() {
-    this.cache.clear();
-  }
+function getCacheTtl() {
+  return settings.cacheTtlMinutes * 60 * 1000;
 }
 
-const jobStatsCache = new JobStatsCache(JOB_STATS_CACHE_MAX_SIZE, JOB_STATS_CACHE_TTL);
+function createSession() {
+  return {
+    attached: false,
+    attaching: null,
+    cache: new JobStatsCache(JOB_STATS_CACHE_MAX_SIZE, getCacheTtl()),
+    // jobId (or request key for multi-job responses) -> { requests, timer } waiting to be read
+    pending: new Map(),
+    activeJobId: null,
+  };
+}
 
-// Utility: Extract job ID from URL
-function extractJobId(url) {
-  const regex = /jobPostings\/(\d+)/;
-  const match = url.match(regex);
-  return match ? match[1] : null;
+function getSession(tabId) {
+  if (!tabSessions.has(tabId)) {
+    tabSessions.set(tabId, createSession());
+  }
+  return tabSessions.get(tabId);
 }
 
-// Filter URLs relevant for job stats fetching
-function isJobPostingEndpoint(url) {
-  return url && url.includes("voyager/api/jobs/jobPostings/");
+function endSession(tabId) {
+  const session = tabSessions.get(tabId);
+  if (!session) return;
+  session.pending.forEach((entry) => clearTimeout(entry.timer));
+  session.pending.clear();
+  session.cache.clear();
+  tabSessions.delete(tabId);
 }
 
-// Debounce wrapper for job updates
-function debounceUpdate(jobId, callback) {
-  clearTimeout(jobDebounceTimer);
-  jobDebounceTimer = setTimeout(() => callback(jobId), DEBOUNCE_DELAY_MS);
+function isJobsUrl(url) {
+  return typeof url === "string" && url.startsWith(JOBS_URL_PREFIX);
 }
 
-// Send stats reliably to content script
-async function sendStats(tabId, stats) {
+// Send stats reliably to content script, along with the job's stored history
+async function sendStats(tabId, stats, record = null) {
   try {
-    await chrome.tabs.sendMessage(tabId, { type: "JOB_STATS_UPDATE", stats });
+    await chrome.tabs.sendMessage(tabId, { type: "JOB_STATS_UPDATE", stats, record });
   } catch (err) {
     if (err.message && !err.message.includes("Receiving end does not exist")) {
       console.error("Error sending job stats:", err);
@@ -74,85 +64,302 @@ async function sendStats(tabId, stats) {
   }
 }
 
-// Process network response for job posting stats
-async function processJobResponse(debuggeeId, params) {
-  const { requestId, response } = params;
+// Badge follows the job open in the tab, not prefetched list data
+function updateBadge(tabId, stats) {
+  const session = tabSessions.get(tabId);
+  if (!session) return;
+  if (!session.activeJobId || session.activeJobId === String(stats.jobId)) {
+    ToolbarBadge.update(tabId, stats);
+  }
+}
+
+async function setActiveJob(tabId, jobId) {
+  const session = getSession(tabId);
+  session.activeJobId = jobId ? String(jobId) : null;
+
+  const record = jobId ? await jobStatsHistory.getJob(jobId).catch(() => null) : null;
+  const stats = (jobId && session.cache.get(String(jobId))) || JobStatsHistory.toStats(record);
+  await ToolbarBadge.update(tabId, stats);
+  return { stats, record, watched: jobId ? await watchlist.has(jobId) : false };
+}
+
+// Every job's views/applies found in a response body (see job-endpoints.js)
+function parseJobStats(url, responseBody) {
+  const text = responseBody.base64Encoded ? atob(responseBody.body) : responseBody.body;
+  const timestamp = Date.now();
+  return JobEndpoints.extract(url, JSON.parse(text)).map((stats) => ({ ...stats, timestamp }));
+}
+
+async function readResponseStats(tabId, { requestId, url }) {
+  let responseBody;
   try {
-    if (!isJobPostingEndpoint(response.url)) return;
+    responseBody = await chrome.debugger.sendCommand({ tabId }, "Network.getResponseBody", { requestId });
+  } catch (netErr) {
+    console.warn(`Failed to get response body for ${url}:`, netErr);
+    return [];
+  }
 
-    const jobId = extractJobId(response.url);
-    if (!jobId) return;
+  try {
+    return parseJobStats(url, responseBody);
+  } catch (parseError) {
+    console.warn(`Failed to parse job response JSON for ${url}:`, parseError);
+    return [];
+  }
+}
 
-    // Check cache for instant response
-    const cachedStats = jobStatsCache.get(jobId);
-    if (cachedStats) {
-      await sendStats(debuggeeId.tabId, cachedStats);
-      return;
-    }
+// A failed notification must not lose the observation that triggered it
+function checkAlerts(record) {
+  return jobAlerts.check(record).catch((err) => {
+    console.warn("Failed to check alert rules:", err);
+  });
+}
 
-    debounceUpdate(jobId, async (debouncedJobId) => {
-      try {
-        const responseBody = await chrome.debugger.sendCommand(
-          debuggeeId,
-          "Network.getResponseBody",
-          { requestId }
-        );
-
-        // Defer parsing asynchronously to keep thread responsive
-        setTimeout(() => {
-          let jobData;
-          try {
-            jobData = JSON.parse(responseBody.body);
-          } catch (parseError) {
-            console.warn("Failed to parse job posting JSON:", parseError);
-            return;
-          }
-
-          if (jobData.data && (jobData.data.views !== undefined || jobData.data.applies !== undefined)) {
-            const stats = {
-              jobId: debouncedJobId,
-              views: jobData.data.views ?? null,
-              applies: jobData.data.applies ?? null,
-              timestamp: Date.now(),
-            };
-            jobStatsCache.set(debouncedJobId, stats);
-            sendStats(debuggeeId.tabId, stats);
-          }
-        }, 0);
-      } catch (netErr) {
-        console.warn("Failed to get job stats response body:", netErr);
-      }
+async function deliverStats(tabId, session, stats) {
+  session.cache.set(stats.jobId, stats);
+  const record = await jobStatsHistory.recordObservation(stats).catch((err) => {
+    console.warn("Failed to save job stats history:", err);
+    return null;
+  });
+  if (record) {
+    checkAlerts(record);
+  }
+  watchlist.recordCapture(stats).catch((err) => console.warn("Failed to update the watchlist:", err));
+
+  // The tab may have closed or left the jobs pages while the body was read
+  if (tabSessions.get(tabId) !== session) return;
+  await sendStats(tabId, stats, record);
+  updateBadge(tabId, stats);
+}
+
+// Read the pending responses, newest first, and deliver the first one carrying stats
+// to the tab that requested it. Older requests are only read when newer ones have no
+// counts (e.g. a decoration without views/applies).
+async function readJobResponses(tabId, session, requests) {
+  let found = [];
+  for (let i = requests.length - 1; i >= 0 && found.length === 0; i--) {
+    found = await readResponseStats(tabId, requests[i]);
+  }
+
+  for (const stats of found) {
+    await deliverStats(tabId, session, stats);
+  }
+}
+
+// Coalesce responses per job: a burst of prefetches for different jobs schedules one
+// read each, while repeats of the same job restart only that job's timer. Responses
+// covering several jobs (GraphQL, batch gets) are each read on their own.
+function scheduleJobRead(tabId, session, key, request) {
+  const pending = session.pending.get(key) || { requests: [], timer: null };
+  clearTimeout(pending.timer);
+  pending.requests = pending.requests.concat(request).slice(-MAX_PENDING_REQUESTS);
+
+  pending.timer = setTimeout(() => {
+    session.pending.delete(key);
+    readJobResponses(tabId, session, pending.requests).catch((err) => {
+      console.error("Error reading job responses:", err);
     });
+  }, DEBOUNCE_DELAY_MS);
+  session.pending.set(key, pending);
+}
+
+// Process network response for job stats endpoints
+function processJobResponse(debuggeeId, params) {
+  const { requestId, response } = params;
+  if (!response || !JobEndpoints.matches(response.url)) return;
+
+  const session = tabSessions.get(debuggeeId.tabId);
+  if (!session) return;
+
+  // Always read the fresh body; the cache only answers ACTIVE_JOB_CHANGED lookups
+  const key = JobEndpoints.getJobId(response.url) || `request:${requestId}`;
+  scheduleJobRead(debuggeeId.tabId, session, key, { requestId, url: response.url });
+}
+
+// Attach debugger and enable network monitoring on a tab
+async function attachDebugger(tabId) {
+  if (canceledTabIds.has(tabId)) return;
+
+  const session = getSession(tabId);
+  if (session.attached) return;
+  if (session.attaching) return session.attaching;
+
+  session.attaching = (async () => {
+    try {
+      await chrome.debugger.attach({ tabId }, "1.3");
+    } catch (err) {
+      // A previous instance of this worker may still hold the session
+      if (!err.message || !err.message.includes("already attached")) {
+        console.error(`[LinkedIn Job Stats] Failed to attach debugger to tab ${tabId}:`, err);
+        endSession(tabId);
+        return;
+      }
+    }
+    try {
+      await chrome.debugger.sendCommand({ tabId }, "Network.enable");
+      session.attached = true;
+      JobStatsSettings.log(`[LinkedIn Job Stats] Debugger attached to tab ${tabId}`);
+    } catch (err) {
+      console.error(`[LinkedIn Job Stats] Failed to enable network monitoring on tab ${tabId}:`, err);
+      endSession(tabId);
+    }
+  })();
+
+  try {
+    await session.attaching;
+  } finally {
+    session.attaching = null;
+  }
+}
+
+async function detachDebugger(tabId) {
+  const session = tabSessions.get(tabId);
+  endSession(tabId);
+  if (!session || !session.attached) return;
+  try {
+    await chrome.debugger.detach({ tabId });
+    JobStatsSettings.log(`[LinkedIn Job Stats] Debugger detached from tab ${tabId}`);
   } catch (err) {
-    console.error("Error in processJobResponse:", err);
+    // Already gone, e.g. the tab crashed or was closed
   }
 }
 
-// Attach debugger and enable network monitoring on tabs
-async function attachDebugger(tabId) {
-  if (debuggeeTabId === tabId) return;
+// Pick up jobs tabs that were already open when the worker started
+async function attachExistingTabs() {
   try {
-    await chrome.debugger.attach({ tabId }, "1.3");
-    await chrome.debugger.sendCommand({ tabId }, "Network.enable");
-    debuggeeTabId = tabId;
-    console.log(`[LinkedIn Job Stats] Debugger attached to tab ${tabId}`);
+    const tabs = await chrome.tabs.query({ url: `${JOBS_URL_PREFIX}/*` });
+    await Promise.all(tabs.map((tab) => attachDebugger(tab.id)));
   } catch (err) {
-    console.error(`[LinkedIn Job Stats] Failed to attach debugger:`, err);
+    console.error("Error attaching to open jobs tabs:", err);
   }
 }
 
+// Status and note set from the panel's application tracker
+async function setJobApplication(message) {
+  const update = JobApplication.normalizeUpdate(message);
+  const record = await jobStatsHistory.updateJob(String(message.jobId), (job) => JobApplication.applyUpdate(job, update));
+  return { record };
+}
+
+// An Easy Apply submission seen by the content script, logged with the counts at that moment
+async function recordApplicationSubmitted(message) {
+  const record = await jobStatsHistory.updateJob(String(message.jobId), (job) => {
+    return JobApplication.recordSubmission(job, message.stats, message.source);
+  });
+  return { record };
+}
+
+async function watchJob(jobId) {
+  const record = await jobStatsHistory.getJob(jobId);
+  await watchlist.add(jobId, JobStatsHistory.toStats(record));
+  return { watched: true };
+}
+
+async function unwatchJob(jobId) {
+  await watchlist.remove(jobId);
+  return { watched: false };
+}
+
+// New counts from a scheduled check go into the history like any other observation
+function refreshWatchlist() {
+  return watchlist.refresh(async (stats) => checkAlerts(await jobStatsHistory.recordObservation(stats)));
+}
+
+// Requests from content scripts, and from the options page, where this build shows its application pipeline
+// and watchlist and manages its alert rules
+const messageHandlers = {
+  GET_JOB_RECORDS: async (message) => ({ records: await jobStatsHistory.getJobs(message.jobIds || []) }),
+  ACTIVE_JOB_CHANGED: async (message, sender) => (sender.tab ? setActiveJob(sender.tab.id, message.jobId) : { stats: null }),
+  GET_PANEL_DISMISSED: async () => ({ dismissed: await PanelState.isDismissed() }),
+  SET_PANEL_DISMISSED: (message) => PanelState.storeDismissed(message.dismissed),
+  FLASH_BADGE: async (message, sender) => {
+    if (sender.tab) await ToolbarBadge.flash(sender.tab.id, message.text, message.failed);
+    return { shown: !!sender.tab };
+  },
+  GET_ALL_JOB_RECORDS: async () => ({ records: await jobStatsHistory.getAllJobs() }),
+  IMPORT_JOB_RECORDS: (message) => jobStatsHistory.importRecords(message.records || []),
+  SET_JOB_APPLICATION: (message) => setJobApplication(message),
+  APPLICATION_SUBMITTED: (message) => recordApplicationSubmitted(message),
+  WATCH_JOB: (message) => watchJob(message.jobId),
+  UNWATCH_JOB: (message) => unwatchJob(message.jobId),
+  GET_WATCHLIST: async () => ({ entries: await watchlist.getAll() }),
+  REFRESH_WATCHLIST: () => refreshWatchlist(),
+  GET_ALERT_RULES: async () => ({ rules: await jobAlerts.getRules() }),
+  ADD_ALERT_RULE: async (message) => ({ rule: await jobAlerts.addRule(message.rule) }),
+  REMOVE_ALERT_RULE: async (message) => {
+    await jobAlerts.removeRule(message.id);
+    return { removed: true };
+  },
+};
+
 // Listeners
 
 chrome.debugger.onEvent.addListener((debuggeeId, message, params) => {
   if (message === "Network.responseReceived") {
-    processJobResponse(debuggeeId, params).catch(console.error);
+    processJobResponse(debuggeeId, params);
   }
 });
 
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || !Object.hasOwn(messageHandlers, message.type)) return false;
+
+  messageHandlers[message.type](message, sender)
+    .then(sendResponse)
+    .catch((err) => {
+      console.warn(`Failed to handle ${message.type}:`, err);
+      sendResponse({ error: err.message });
+    });
+  return true; // Keep the channel open for the async response
+});
+
+// Without a popup, the toolbar button dismisses the panel in every tab or shows it again
+chrome.action.onClicked.addListener(() => {
+  PanelState.toggleDismissed().catch((err) => console.error("Error toggling the panel:", err));
+});
+
+// Keyboard shortcuts act on the panel in the tab they were pressed in (see panel-commands.js)
+async function runPanelCommand(command, tab) {
+  try {
+    await chrome.tabs.sendMessage(tab.id, { type: "PANEL_COMMAND", command });
+  } catch (err) {
+    // Not a LinkedIn jobs tab; the panel can still be shown or hidden for every tab
+    if (command === "toggle-panel") {
+      await PanelState.toggleDismissed();
+    }
+  }
+}
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (!tab) return;
+  runPanelCommand(command, tab).catch((err) => console.error("Error running keyboard shortcut:", err));
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  const jobId = JobAlerts.getNotificationJobId(notificationId);
+  if (!jobId) return;
+
+  chrome.tabs.create({ url: `https://www.linkedin.com/jobs/view/${jobId}/` });
+  chrome.notifications.clear(notificationId);
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === JobWatchlist.ALARM_NAME) {
+    refreshWatchlist().catch((err) => console.error("Error refreshing the watchlist:", err));
+  }
+});
+
+chrome.debugger.onDetach.addListener((source, reason) => {
+  if (source.tabId === undefined) return;
+  if (reason === "canceled_by_user") {
+    canceledTabIds.add(source.tabId);
+  }
+  endSession(source.tabId);
+  JobStatsSettings.log(`[LinkedIn Job Stats] Debugger detached from tab ${source.tabId} (${reason})`);
+});
+
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
   try {
     const tab = await chrome.tabs.get(activeInfo.tabId);
-    if (tab.url.includes("linkedin.com/jobs")) {
+    if (isJobsUrl(tab.url)) {
       attachDebugger(activeInfo.tabId);
     }
   } catch (err) {
@@ -160,11 +367,36 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
   }
 });
 
-chrome.tabs.onRemoved.addListener((tabId) => {
-  if (debuggeeTabId === tabId) {
-    debuggeeTabId = null;
-    jobStatsCache.clear();
+// Attach as soon as a tab starts loading a jobs page, even in the background
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  const url = changeInfo.url || (changeInfo.status === "loading" ? tab.url : null);
+  if (!url) return;
+
+  if (isJobsUrl(url)) {
+    attachDebugger(tabId);
+  } else if (tabSessions.has(tabId)) {
+    detachDebugger(tabId);
+    ToolbarBadge.clear(tabId);
   }
 });
 
-chrome.runtime.onSuspend.addListener(() => jobStatsCache.clear());
+chrome.tabs.onRemoved.addListener((tabId) => {
+  canceledTabIds.delete(tabId);
+  endSession(tabId);
+});
+
+chrome.runtime.onSuspend.addListener(() => {
+  tabSessions.forEach((session) => session.cache.clear());
+});
+
+JobWatchlist.ensureAlarm().catch((err) => console.error("Error scheduling the watchlist refresh:", err));
+JobStatsSettings.migrate().catch((err) => console.error("Error migrating settings:", err));
+// The cache lifetime is set on the options page; open sessions take a change right away
+JobStatsSettings.watch((updated) => {
+  settings = updated;
+  tabSessions.forEach((session) => {
+    session.cache.ttl = getCacheTtl();
+  });
+});
+
+attachExistingTabs();
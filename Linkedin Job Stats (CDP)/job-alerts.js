@@ -0,0 +1,182 @@
+// Alert rules checked against every new observation and raised as browser notifications
+(function(global) {
+    'use strict';
+
+    const RULES_KEY = 'alertRules';
+    const STATE_KEY = 'alertState';
+    const DAY = 24 * 60 * 60 * 1000;
+    const COOLDOWN = DAY; // A rule alerts at most once a day for the same job
+    const NOTIFICATION_PREFIX = 'job-alert:';
+    const METRICS = { applies: 'Applicants', views: 'Views' };
+    const TYPES = ['crosses', 'jumps'];
+
+    function isCount(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+
+    // Rules are { id, jobId, metric, type, value }. jobId null applies the rule to every job.
+    // 'crosses' matches when the count moves from below `value` to `value` or more;
+    // 'jumps' matches when the count grew by more than `value` percent over the last day
+    function normalizeRule(rule) {
+        if (!rule || !(rule.metric in METRICS)) {
+            throw new Error('Choose applicants or views');
+        }
+        if (!TYPES.includes(rule.type)) {
+            throw new Error('Choose "crosses" or "jumps by"');
+        }
+
+        const value = Number(rule.value);
+        if (!isFinite(value) || value <= 0) {
+            throw new Error('Enter a number above 0');
+        }
+
+        const jobId = rule.jobId === null || rule.jobId === undefined || rule.jobId === '' ? null : String(rule.jobId);
+        if (jobId !== null && !/^\d+$/.test(jobId)) {
+            throw new Error('Job ID must be numeric');
+        }
+
+        return {
+            id: rule.id || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            jobId,
+            metric: rule.metric,
+            type: rule.type,
+            value: rule.type === 'crosses' ? Math.round(value) : value
+        };
+    }
+
+    function describeRule(rule) {
+        const condition = rule.type === 'crosses'
+            ? `cross ${rule.value.toLocaleString()}`
+            : `jump more than ${rule.value}% in a day`;
+        return `${METRICS[rule.metric]} ${condition} (${rule.jobId ? `job ${rule.jobId}` : 'all jobs'})`;
+    }
+
+    // Oldest observation within a day before the latest one that has the count
+    function findDayBaseline(observations, latest, metric) {
+        return observations.find(observation => observation !== latest &&
+            observation.timestamp >= latest.timestamp - DAY &&
+            isCount(observation[metric])) || null;
+    }
+
+    // What a rule matched in a job's history, judged on its latest observation, or null
+    function matchRule(rule, record) {
+        if (rule.jobId !== null && rule.jobId !== record.jobId) return null;
+
+        const observations = record.observations;
+        const latest = observations[observations.length - 1];
+        if (!latest || !isCount(latest[rule.metric])) return null;
+        const current = latest[rule.metric];
+
+        if (rule.type === 'crosses') {
+            const previous = observations.slice(0, -1).reverse().find(observation => isCount(observation[rule.metric]));
+            if (!previous || previous[rule.metric] >= rule.value || current < rule.value) return null;
+            return {
+                rule,
+                jobId: record.jobId,
+                message: `${METRICS[rule.metric]} crossed ${rule.value.toLocaleString()} (now ${current.toLocaleString()})`
+            };
+        }
+
+        const baseline = findDayBaseline(observations, latest, rule.metric);
+        if (!baseline || baseline[rule.metric] <= 0) return null;
+
+        const growth = (current - baseline[rule.metric]) / baseline[rule.metric] * 100;
+        if (growth <= rule.value) return null;
+        return {
+            rule,
+            jobId: record.jobId,
+            message: `${METRICS[rule.metric]} up ${Math.round(growth)}% in a day ` +
+                `(${baseline[rule.metric].toLocaleString()} → ${current.toLocaleString()})`
+        };
+    }
+
+    function evaluate(rules, record) {
+        if (!record || record.observations.length === 0) return [];
+        return rules.map(rule => matchRule(rule, record)).filter(Boolean);
+    }
+
+    class JobAlerts {
+        constructor(storage = chrome.storage.local) {
+            this.storage = storage;
+            this.queue = Promise.resolve();
+        }
+
+        async getRules() {
+            const result = await this.storage.get([RULES_KEY]);
+            return result[RULES_KEY] || [];
+        }
+
+        // Rule edits and alert bookkeeping are chained so checks of concurrent observations can't race
+        enqueue(task) {
+            const run = this.queue.then(task);
+            this.queue = run.catch(() => {});
+            return run;
+        }
+
+        addRule(rule) {
+            return this.enqueue(async () => {
+                const normalized = normalizeRule(rule);
+                const rules = await this.getRules();
+                rules.push(normalized);
+                await this.storage.set({ [RULES_KEY]: rules });
+                return normalized;
+            });
+        }
+
+        removeRule(id) {
+            return this.enqueue(async () => {
+                const rules = await this.getRules();
+                await this.storage.set({ [RULES_KEY]: rules.filter(rule => rule.id !== id) });
+            });
+        }
+
+        // Call with a job's history right after a new observation was saved.
+        // Raises a notification per matched rule that has not alerted for the job in the last day.
+        check(record, now = Date.now()) {
+            return this.enqueue(async () => {
+                const matches = evaluate(await this.getRules(), record);
+                if (matches.length === 0) return [];
+
+                const result = await this.storage.get([STATE_KEY]);
+                const state = result[STATE_KEY] || {};
+                const fresh = matches.filter(match => {
+                    const key = `${match.rule.id}:${match.jobId}`;
+                    if (state[key] && now - state[key] < COOLDOWN) return false;
+                    state[key] = now;
+                    return true;
+                });
+                if (fresh.length === 0) return [];
+
+                await this.storage.set({ [STATE_KEY]: state });
+                const title = record.details && record.details.title ? record.details.title : `Job ${record.jobId}`;
+                await Promise.all(fresh.map(match => this.notify(match, title, now)));
+                return fresh;
+            });
+        }
+
+        notify(match, title, now) {
+            return chrome.notifications.create(`${NOTIFICATION_PREFIX}${match.jobId}:${match.rule.id}:${now}`, {
+                type: 'basic',
+                iconUrl: 'icons/icon128.png',
+                title: title,
+                message: match.message,
+                contextMessage: 'LinkedIn Job Stats',
+                priority: 1
+            });
+        }
+
+        // Job an alert notification is about, so a click can open it
+        static getNotificationJobId(notificationId) {
+            if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return null;
+            return notificationId.slice(NOTIFICATION_PREFIX.length).split(':')[0];
+        }
+    }
+
+    JobAlerts.RULES_KEY = RULES_KEY;
+    JobAlerts.METRICS = METRICS;
+    JobAlerts.normalizeRule = normalizeRule;
+    JobAlerts.describeRule = describeRule;
+    JobAlerts.evaluate = evaluate;
+
+    global.JobAlerts = JobAlerts;
+})(self);
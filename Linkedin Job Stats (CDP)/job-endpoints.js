@@ -0,0 +1,151 @@
+// Known LinkedIn endpoints carrying job stats, and how to pull them out of each response shape
+(function(global) {
+    'use strict';
+
+    const JOB_POSTING_URN = /^urn:li:(?:fs_normalized_jobPosting|fsd_jobPosting|fs_jobPosting|jobPosting):(\d+)$/;
+    const GRAPHQL_JOB_QUERY = /queryId=voyagerJobsDash(?:JobCards|JobPostings|JobPostingDetailSections|JobDetails)/;
+
+    function isStatsCarrier(value) {
+        return value && typeof value === 'object' && (value.views !== undefined || value.applies !== undefined);
+    }
+
+    function jobIdFromUrn(urn) {
+        const match = typeof urn === 'string' ? urn.match(JOB_POSTING_URN) : null;
+        return match ? match[1] : null;
+    }
+
+    // The posting an entity describes, from its own URN or a reference to one
+    function getEntityJobId(entity) {
+        return jobIdFromUrn(entity.entityUrn) ||
+            jobIdFromUrn(entity.jobPostingUrn) ||
+            jobIdFromUrn(entity['*jobPosting']) ||
+            jobIdFromUrn(entity.jobPosting);
+    }
+
+    function toStats(jobId, data, included) {
+        return {
+            jobId: String(jobId),
+            views: data.views ?? null,
+            applies: data.applies ?? null,
+            details: global.JobPosting ? global.JobPosting.normalize(jobId, { data: data, included: included }) : null
+        };
+    }
+
+    // Normalized (+json) and GraphQL responses list entities in `included`; keep those with counts
+    function extractIncluded(payload) {
+        const included = payload && Array.isArray(payload.included) ? payload.included : [];
+        const postings = new Map();
+        const found = new Map();
+
+        included.forEach(entity => {
+            const jobId = entity ? jobIdFromUrn(entity.entityUrn) : null;
+            if (jobId) postings.set(jobId, entity);
+        });
+
+        included.forEach(entity => {
+            if (!isStatsCarrier(entity)) return;
+            const jobId = getEntityJobId(entity);
+            if (!jobId || found.has(jobId)) return;
+            // Counts may sit on a card or section that references the posting holding the details
+            const merged = Object.assign({}, postings.get(jobId), entity);
+            found.set(jobId, toStats(jobId, merged, included));
+        });
+        return Array.from(found.values());
+    }
+
+    // Single job: voyager/api/jobs/jobPostings/{id}
+    const jobPosting = {
+        name: 'jobPosting',
+        getJobId(url) {
+            const match = url.match(/voyager\/api\/jobs\/jobPostings\/(\d+)(?:[?/#]|$)/);
+            return match ? match[1] : null;
+        },
+        matches(url) {
+            return this.getJobId(url) !== null;
+        },
+        extract(url, payload) {
+            const jobId = this.getJobId(url);
+            if (isStatsCarrier(payload && payload.data)) {
+                return [toStats(jobId, payload.data, payload.included)];
+            }
+            // Normalized responses may leave the counts on the included entity
+            return extractIncluded(payload).filter(stats => stats.jobId === jobId);
+        }
+    };
+
+    // Batch get: voyager/api/jobs/jobPostings?ids=List(1,2) with Rest.li `results` or `included`
+    const jobPostingsBatch = {
+        name: 'jobPostingsBatch',
+        matches(url) {
+            return /voyager\/api\/jobs\/jobPostings\?/.test(url) && /[?&]ids=/.test(url);
+        },
+        extract(url, payload) {
+            const results = payload && (payload.results || (payload.data && payload.data.results));
+            const found = [];
+
+            if (results && typeof results === 'object') {
+                Object.keys(results).forEach(key => {
+                    const entity = results[key];
+                    if (!isStatsCarrier(entity)) return;
+                    const jobId = /^\d+$/.test(key) ? key : jobIdFromUrn(key) || getEntityJobId(entity);
+                    if (jobId) found.push(toStats(jobId, entity, payload.included || []));
+                });
+            }
+
+            const seen = new Set(found.map(stats => stats.jobId));
+            return found.concat(extractIncluded(payload).filter(stats => !seen.has(stats.jobId)));
+        }
+    };
+
+    // GraphQL job card lists and job details: voyager/api/graphql?queryId=voyagerJobsDash...
+    const graphqlJobs = {
+        name: 'graphqlJobs',
+        matches(url) {
+            return url.includes('voyager/api/graphql') && GRAPHQL_JOB_QUERY.test(url);
+        },
+        extract(url, payload) {
+            return extractIncluded(payload);
+        }
+    };
+
+    const endpoints = [jobPosting, jobPostingsBatch, graphqlJobs];
+
+    // Later registrations are tried first so they can override a built-in shape
+    function register(endpoint) {
+        if (!endpoint || typeof endpoint.matches !== 'function' || typeof endpoint.extract !== 'function') {
+            throw new Error('Endpoint needs matches(url) and extract(url, payload)');
+        }
+        endpoints.unshift(endpoint);
+    }
+
+    function find(url) {
+        if (!url) return null;
+        const href = String(url);
+        return endpoints.find(endpoint => endpoint.matches(href)) || null;
+    }
+
+    function matches(url) {
+        return find(url) !== null;
+    }
+
+    // Job a URL is about when it names a single job, used to coalesce repeated requests
+    function getJobId(url) {
+        const endpoint = find(url);
+        return endpoint && typeof endpoint.getJobId === 'function' ? endpoint.getJobId(String(url)) : null;
+    }
+
+    // Every { jobId, views, applies, details } found in a response, [] when none
+    function extract(url, payload) {
+        const endpoint = find(url);
+        if (!endpoint || !payload || typeof payload !== 'object') return [];
+        return endpoint.extract(String(url), payload).filter(stats => stats && stats.jobId);
+    }
+
+    global.JobEndpoints = {
+        register,
+        matches,
+        getJobId,
+        extract,
+        jobIdFromUrn
+    };
+})(self);
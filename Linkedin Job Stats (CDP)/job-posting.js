@@ -0,0 +1,99 @@
+// Normalizes a Voyager jobPostings payload into a flat job record
+(function(global) {
+    'use strict';
+
+    const EASY_APPLY_TYPES = ['ComplexOnsiteApply', 'SimpleOnsiteApply', 'InAppApply'];
+    const EXTERNAL_APPLY_TYPES = ['OffsiteApply'];
+    const REPOST_GAP = 2 * 24 * 60 * 60 * 1000; // Original listing this much older than the current one means a repost
+
+    function typeName(value) {
+        return value && typeof value.$type === 'string' ? value.$type.split('.').pop() : '';
+    }
+
+    function toTimestamp(value) {
+        return typeof value === 'number' && isFinite(value) ? value : null;
+    }
+
+    function toText(value) {
+        if (typeof value === 'string') return value.trim() || null;
+        if (value && typeof value.text === 'string') return value.text.trim() || null;
+        return null;
+    }
+
+    // Normalized (+json) responses keep referenced entities in `included`, keyed by URN
+    function indexIncluded(payload) {
+        const byUrn = new Map();
+        (payload && Array.isArray(payload.included) ? payload.included : []).forEach(entity => {
+            if (entity && entity.entityUrn) byUrn.set(entity.entityUrn, entity);
+        });
+        return byUrn;
+    }
+
+    function resolve(value, included) {
+        return typeof value === 'string' ? included.get(value) || null : value || null;
+    }
+
+    function getCompany(data, included) {
+        const details = data.companyDetails || {};
+        const resolved = details.companyResolutionResult ||
+            resolve(details.company || details['*company'] || data['*company'], included);
+
+        return {
+            name: toText(details.companyName) || (resolved && toText(resolved.name)) || toText(data.companyName),
+            urn: (resolved && resolved.entityUrn) || (typeof details.company === 'string' ? details.company : null)
+        };
+    }
+
+    function getWorkplaceType(data, included) {
+        const urns = data.workplaceTypes || data['*workplaceTypes'] || [];
+        const resolved = data.workplaceTypesResolutionResults || {};
+
+        for (const urn of urns) {
+            const entity = resolved[urn] || included.get(urn);
+            if (entity && entity.localizedName) return entity.localizedName;
+        }
+        return data.workRemoteAllowed ? 'Remote' : null;
+    }
+
+    function getApplyMethod(data) {
+        const type = typeName(data.applyMethod);
+        if (EASY_APPLY_TYPES.includes(type)) return 'easy_apply';
+        if (EXTERNAL_APPLY_TYPES.includes(type)) return 'external';
+        return null;
+    }
+
+    // LinkedIn refreshes listedAt on a repost but keeps originalListedAt
+    function isReposted(data) {
+        if (data.repostedJob === true) return true;
+
+        const listedAt = toTimestamp(data.listedAt);
+        const originalListedAt = toTimestamp(data.originalListedAt);
+        return listedAt !== null && originalListedAt !== null && listedAt - originalListedAt > REPOST_GAP;
+    }
+
+    // Build the job record from a jobPostings response, null fields when LinkedIn omits them
+    function normalize(jobId, payload) {
+        const data = payload && payload.data;
+        if (!data || typeof data !== 'object') return null;
+
+        const included = indexIncluded(payload);
+        const company = getCompany(data, included);
+
+        return {
+            jobId: jobId ? String(jobId) : null,
+            title: toText(data.title),
+            company: company.name,
+            companyUrn: company.urn,
+            location: toText(data.formattedLocation),
+            workplaceType: getWorkplaceType(data, included),
+            listedAt: toTimestamp(data.listedAt),
+            originalListedAt: toTimestamp(data.originalListedAt),
+            expireAt: toTimestamp(data.expireAt),
+            applyMethod: getApplyMethod(data),
+            reposted: isReposted(data),
+            jobState: typeof data.jobState === 'string' ? data.jobState : null
+        };
+    }
+
+    global.JobPosting = { normalize };
+})(self);
@@ -0,0 +1,87 @@
+// Keyboard shortcuts from the manifest's "commands", run in the tab they were pressed in
+(function(global) {
+    'use strict';
+
+    const MESSAGE_TYPE = 'PANEL_COMMAND';
+
+    function formatCount(value) {
+        return typeof value === 'number' && isFinite(value) ? value.toLocaleString() : 'N/A';
+    }
+
+    // Plain text for the clipboard: title line, counts, job ID and link
+    function formatJobText(stats, record) {
+        const details = stats.details || (record && record.details) || null;
+        const lines = [];
+        if (details && details.title) {
+            lines.push([details.title, details.company].filter(Boolean).join(' · '));
+        }
+        lines.push(`Applicants: ${formatCount(stats.applies)} · Views: ${formatCount(stats.views)}`);
+        lines.push(`Job ID: ${stats.jobId}`);
+        lines.push(`https://www.linkedin.com/jobs/view/${stats.jobId}/`);
+        return lines.join('\n');
+    }
+
+    // The async clipboard API needs the page focused; the extension's clipboardWrite
+    // permission lets the older copy command work when it is not
+    async function copyText(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return;
+        } catch (error) {
+            // Fall through to execCommand
+        }
+
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        textarea.remove();
+        if (!copied) throw new Error('Copy was blocked');
+    }
+
+    // Copies the job the panel shows, even while it is collapsed or dismissed
+    async function copyJob() {
+        const job = JobStatsPanel.getRendered();
+        if (!job || !job.stats || !job.stats.jobId) {
+            JobStatsPanel.announce('No job stats to copy yet', true);
+            return;
+        }
+
+        try {
+            await copyText(formatJobText(job.stats, job.record));
+            JobStatsPanel.announce('Copied job ID and stats');
+        } catch (error) {
+            console.log('Could not copy job stats:', error);
+            JobStatsPanel.announce('Could not copy to the clipboard', true);
+        }
+    }
+
+    // Answer the commands the service worker forwards to this tab.
+    // actions: { toggleWatch } from the content script, which knows whether the open job is watched
+    function listen(actions = {}) {
+        const handlers = {
+            'toggle-panel': () => JobStatsPanel.toggle(),
+            'collapse-panel': () => JobStatsPanel.toggleCollapsed(),
+            'copy-job-stats': () => copyJob(),
+            'toggle-watch': () => {
+                if (actions.toggleWatch) actions.toggleWatch();
+            }
+        };
+
+        chrome.runtime.onMessage.addListener(message => {
+            if (!message || message.type !== MESSAGE_TYPE || !handlers[message.command]) return;
+            handlers[message.command]();
+        });
+    }
+
+    global.PanelCommands = {
+        MESSAGE_TYPE,
+        formatJobText,
+        copyText,
+        listen
+    };
+})(self);
@@ -0,0 +1,123 @@
+// Where the on-page panel sits and whether it is collapsed or dismissed, shared by every LinkedIn tab.
+// Session storage stays closed to content scripts, so the dismissed state is kept by the service
+// worker: pages ask it through messages and hear back when it changes.
+(function(global) {
+    'use strict';
+
+    // Dragged positions by viewport size, in chrome.storage.local: { '1400x800': { left, top } }
+    const POSITIONS_KEY = 'panelPositions';
+    const COLLAPSED_KEY = 'panelCollapsed';
+    // Kept in chrome.storage.session, so a dismissed panel comes back with the next browser session
+    const DISMISSED_KEY = 'panelDismissed';
+    const DISMISSED_CHANGED = 'PANEL_DISMISSED_CHANGED';
+    const LINKEDIN_URL_PATTERN = 'https://www.linkedin.com/*';
+    // Window sizes within this many pixels share a position
+    const VIEWPORT_STEP = 100;
+    const MAX_POSITIONS = 20;
+
+    function getViewportKey(width, height) {
+        const round = value => Math.round(value / VIEWPORT_STEP) * VIEWPORT_STEP;
+        return `${round(width)}x${round(height)}`;
+    }
+
+    // Keep a saved position on screen in a window smaller than the one it was saved in
+    function clampPosition(position, viewport, size) {
+        return {
+            left: Math.max(0, Math.min(viewport.width - size.width, position.left)),
+            top: Math.max(0, Math.min(viewport.height - size.height, position.top))
+        };
+    }
+
+    async function load() {
+        const [local, session] = await Promise.all([
+            chrome.storage.local.get([POSITIONS_KEY, COLLAPSED_KEY]),
+            chrome.runtime.sendMessage({ type: 'GET_PANEL_DISMISSED' })
+        ]);
+        return {
+            positions: local[POSITIONS_KEY] || {},
+            collapsed: !!local[COLLAPSED_KEY],
+            dismissed: !!(session && session.dismissed)
+        };
+    }
+
+    // Save where the panel was dragged to for this viewport; the least recently saved sizes go first
+    async function savePosition(viewportKey, position) {
+        const result = await chrome.storage.local.get([POSITIONS_KEY]);
+        const positions = Object.assign({}, result[POSITIONS_KEY]);
+        delete positions[viewportKey];
+        positions[viewportKey] = { left: Math.round(position.left), top: Math.round(position.top) };
+
+        const keys = Object.keys(positions);
+        keys.slice(0, Math.max(0, keys.length - MAX_POSITIONS)).forEach(key => delete positions[key]);
+        await chrome.storage.local.set({ [POSITIONS_KEY]: positions });
+    }
+
+    // Back to the corner chosen on the options page, in every viewport
+    function clearPositions() {
+        return chrome.storage.local.remove(POSITIONS_KEY);
+    }
+
+    function setCollapsed(collapsed) {
+        return chrome.storage.local.set({ [COLLAPSED_KEY]: !!collapsed });
+    }
+
+    function setDismissed(dismissed) {
+        return chrome.runtime.sendMessage({ type: 'SET_PANEL_DISMISSED', dismissed: !!dismissed });
+    }
+
+    // Call back with { positions, collapsed, dismissed }, holding only what changed, from any tab
+    function watch(callback) {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            const state = {};
+            if (areaName === 'local' && changes[POSITIONS_KEY]) {
+                state.positions = changes[POSITIONS_KEY].newValue || {};
+            }
+            if (areaName === 'local' && changes[COLLAPSED_KEY]) {
+                state.collapsed = !!changes[COLLAPSED_KEY].newValue;
+            }
+            if (Object.keys(state).length > 0) callback(state);
+        });
+        chrome.runtime.onMessage.addListener(message => {
+            if (message && message.type === DISMISSED_CHANGED) {
+                callback({ dismissed: !!message.dismissed });
+            }
+        });
+    }
+
+    // Service worker side, answering GET_PANEL_DISMISSED and SET_PANEL_DISMISSED
+
+    async function isDismissed() {
+        const result = await chrome.storage.session.get([DISMISSED_KEY]);
+        return !!result[DISMISSED_KEY];
+    }
+
+    // Save the state and tell every LinkedIn tab, and the popup or options page if open
+    async function storeDismissed(dismissed) {
+        const message = { type: DISMISSED_CHANGED, dismissed: !!dismissed };
+        await chrome.storage.session.set({ [DISMISSED_KEY]: message.dismissed });
+
+        const tabs = await chrome.tabs.query({ url: LINKEDIN_URL_PATTERN });
+        await Promise.all(tabs.map(tab => chrome.tabs.sendMessage(tab.id, message).catch(() => {})));
+        await chrome.runtime.sendMessage(message).catch(() => {});
+        return { dismissed: message.dismissed };
+    }
+
+    async function toggleDismissed() {
+        const result = await storeDismissed(!await isDismissed());
+        return result.dismissed;
+    }
+
+    global.PanelState = {
+        getViewportKey,
+        clampPosition,
+        load,
+        savePosition,
+        clearPositions,
+        setCollapsed,
+        setDismissed,
+        watch,
+        isDismissed,
+        storeDismissed,
+        toggleDismissed
+    };
+})(self);
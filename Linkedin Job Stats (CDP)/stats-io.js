@@ -0,0 +1,376 @@
+// Serializes stored job stats history to CSV and JSON files, and parses them back.
+// Application statuses are checked against job-application.js, loaded before it is called.
+(function(global) {
+    'use strict';
+
+    const FORMAT = 'linkedin-job-stats';
+    const FORMAT_VERSION = 1;
+
+    // One CSV row per observation, job details and application repeated on every row.
+    // A tracked job never seen yet gets one row without an observation.
+    const CSV_COLUMNS = [
+        'jobId', 'observedAt', 'views', 'applies',
+        'title', 'company', 'companyUrn', 'location', 'workplaceType',
+        'listedAt', 'originalListedAt', 'expireAt', 'applyMethod', 'reposted', 'jobState',
+        'firstSeen', 'lastSeen',
+        'applicationStatus', 'applicationNote', 'applicationUpdatedAt', 'appliedAt', 'appliedViews', 'appliedApplies'
+    ];
+    const DATE_COLUMNS = [
+        'observedAt', 'listedAt', 'originalListedAt', 'expireAt', 'firstSeen', 'lastSeen',
+        'applicationUpdatedAt', 'appliedAt'
+    ];
+    const REQUIRED_COLUMNS = ['jobId', 'observedAt', 'views', 'applies'];
+
+    // Job detail fields accepted on import, and the type each must have
+    const DETAIL_FIELDS = {
+        title: 'text',
+        company: 'text',
+        companyUrn: 'text',
+        location: 'text',
+        workplaceType: 'text',
+        listedAt: 'date',
+        originalListedAt: 'date',
+        expireAt: 'date',
+        applyMethod: 'text',
+        reposted: 'boolean',
+        jobState: 'text'
+    };
+
+    function toIsoDate(value) {
+        return typeof value === 'number' && isFinite(value) ? new Date(value).toISOString() : '';
+    }
+
+    function escapeCsv(value) {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        // Keep spreadsheet apps from evaluating job titles as formulas; some also
+        // strip a leading tab or carriage return and evaluate what follows
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toJson(records, exportedAt = Date.now()) {
+        return JSON.stringify({
+            format: FORMAT,
+            version: FORMAT_VERSION,
+            exportedAt: new Date(exportedAt).toISOString(),
+            jobs: records
+        }, null, 2);
+    }
+
+    // Status, note and the counts when the job was first marked applied; the other
+    // status changes are only kept in JSON exports
+    function getApplicationColumns(application) {
+        if (!application) return {};
+        const snapshot = JobApplication.getAppliedSnapshot(application) || {};
+        return {
+            applicationStatus: application.status,
+            applicationNote: application.note,
+            applicationUpdatedAt: application.updatedAt,
+            appliedAt: snapshot.timestamp,
+            appliedViews: snapshot.views,
+            appliedApplies: snapshot.applies
+        };
+    }
+
+    function toCsv(records) {
+        const rows = [CSV_COLUMNS.join(',')];
+
+        records.forEach(record => {
+            const job = Object.assign({}, record.details, getApplicationColumns(record.application), {
+                jobId: record.jobId,
+                firstSeen: record.firstSeen,
+                lastSeen: record.lastSeen
+            });
+            const observations = record.observations.length > 0 || !record.application
+                ? record.observations
+                : [{ timestamp: null, views: null, applies: null }];
+
+            observations.forEach(observation => {
+                const row = Object.assign({}, job, {
+                    observedAt: observation.timestamp,
+                    views: observation.views,
+                    applies: observation.applies
+                });
+
+                rows.push(CSV_COLUMNS.map(column => {
+                    return escapeCsv(DATE_COLUMNS.includes(column) ? toIsoDate(row[column]) : row[column]);
+                }).join(','));
+            });
+        });
+
+        return rows.join('\r\n') + '\r\n';
+    }
+
+    // Import validation
+
+    function isJobId(value) {
+        return (typeof value === 'string' || typeof value === 'number') && /^\d+$/.test(String(value));
+    }
+
+    function parseCount(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const count = Number(value);
+        if (!Number.isInteger(count) || count < 0) throw new Error(`invalid count "${value}"`);
+        return count;
+    }
+
+    function parseDate(value) {
+        if (typeof value === 'number' && isFinite(value) && value > 0) return value;
+        if (typeof value === 'string' && value !== '') {
+            const time = Date.parse(value);
+            if (!isNaN(time)) return time;
+        }
+        return null;
+    }
+
+    function validateObservation(jobId, observation) {
+        if (!isJobId(jobId)) throw new Error('missing or invalid jobId');
+
+        const timestamp = parseDate(observation.timestamp);
+        if (timestamp === null) throw new Error('missing or invalid timestamp');
+
+        return {
+            timestamp: timestamp,
+            views: parseCount(observation.views),
+            applies: parseCount(observation.applies)
+        };
+    }
+
+    // Undo the quote escapeCsv puts before text that looks like a formula
+    function unescapeFormula(value) {
+        return typeof value === 'string' && /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+    }
+
+    // Keep known detail fields of the right type, drop everything else
+    function sanitizeDetails(source) {
+        const details = {};
+        Object.keys(DETAIL_FIELDS).forEach(key => {
+            let value = source[key];
+            switch (DETAIL_FIELDS[key]) {
+                case 'text':
+                    value = unescapeFormula(value);
+                    value = typeof value === 'string' && value !== '' ? value : null;
+                    break;
+                case 'date':
+                    value = parseDate(value);
+                    break;
+                case 'boolean':
+                    value = value === true || value === 'true' ? true : value === false || value === 'false' ? false : null;
+                    break;
+            }
+            if (value !== null) details[key] = value;
+        });
+        return Object.keys(details).length > 0 ? details : null;
+    }
+
+    // An application in the shape job-application.js keeps, with unknown statuses rejected
+    function validateApplication(source) {
+        const status = source.status === '' || source.status === undefined ? null : source.status;
+        if (status !== null && !JobApplication.isStatus(status)) {
+            throw new Error(`invalid application status "${status}"`);
+        }
+
+        const events = (Array.isArray(source.events) ? source.events : []).map(event => {
+            if (!event || !JobApplication.isStatus(event.status)) {
+                throw new Error(`invalid application status "${event ? event.status : event}"`);
+            }
+            const timestamp = parseDate(event.timestamp);
+            if (timestamp === null) throw new Error('missing or invalid application timestamp');
+
+            const validated = { status: event.status, timestamp: timestamp, views: parseCount(event.views), applies: parseCount(event.applies) };
+            if (typeof event.source === 'string') validated.source = event.source;
+            return validated;
+        }).sort((a, b) => a.timestamp - b.timestamp);
+
+        const lastEvent = events[events.length - 1];
+        return {
+            status: status,
+            note: typeof source.note === 'string' ? source.note.slice(0, JobApplication.MAX_NOTE_LENGTH) : '',
+            updatedAt: parseDate(source.updatedAt) || (lastEvent ? lastEvent.timestamp : null),
+            events: events
+        };
+    }
+
+    function addToRecord(recordsById, jobId, { observation, details, application }) {
+        const id = String(jobId);
+        if (!recordsById.has(id)) {
+            recordsById.set(id, { jobId: id, details: null, observations: [] });
+        }
+        const record = recordsById.get(id);
+        if (observation) record.observations.push(observation);
+        if (details) record.details = Object.assign({}, record.details, details);
+        if (application) record.application = application;
+    }
+
+    function parseJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('File is not valid JSON');
+        }
+
+        if (!data || data.format !== FORMAT || !Array.isArray(data.jobs)) {
+            throw new Error('File is not a LinkedIn Job Stats export');
+        }
+        if (typeof data.version !== 'number' || data.version > FORMAT_VERSION) {
+            throw new Error(`Unsupported export version: ${data.version}`);
+        }
+
+        const recordsById = new Map();
+        const rejected = [];
+
+        data.jobs.forEach((job, jobIndex) => {
+            if (!job || !Array.isArray(job.observations)) {
+                rejected.push({ row: `jobs[${jobIndex}]`, reason: 'missing observations list' });
+                return;
+            }
+
+            const details = job.details && typeof job.details === 'object' ? sanitizeDetails(job.details) : null;
+            job.observations.forEach((observation, index) => {
+                try {
+                    addToRecord(recordsById, job.jobId, { observation: validateObservation(job.jobId, observation || {}), details });
+                } catch (e) {
+                    rejected.push({ row: `jobs[${jobIndex}].observations[${index}]`, reason: e.message });
+                }
+            });
+
+            if (job.application && typeof job.application === 'object') {
+                try {
+                    if (!isJobId(job.jobId)) throw new Error('missing or invalid jobId');
+                    addToRecord(recordsById, job.jobId, { details, application: validateApplication(job.application) });
+                } catch (e) {
+                    rejected.push({ row: `jobs[${jobIndex}].application`, reason: e.message });
+                }
+            }
+        });
+
+        return { records: Array.from(recordsById.values()), rejected: rejected };
+    }
+
+    // RFC 4180 style parsing: quoted fields may contain commas, quotes and newlines
+    function splitCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    function parseCsv(text) {
+        const rows = splitCsv(text.replace(/^\uFEFF/, ''));
+        const header = rows.shift() || [];
+        const missing = REQUIRED_COLUMNS.filter(column => !header.includes(column));
+        if (missing.length > 0) {
+            throw new Error(`CSV is missing columns: ${missing.join(', ')}`);
+        }
+
+        const recordsById = new Map();
+        const rejected = [];
+
+        rows.forEach((cells, index) => {
+            // Header is line 1
+            const line = index + 2;
+            if (cells.length === 1 && cells[0] === '') return;
+            if (cells.length !== header.length) {
+                rejected.push({ row: `line ${line}`, reason: `expected ${header.length} columns, found ${cells.length}` });
+                return;
+            }
+
+            const values = {};
+            header.forEach((column, columnIndex) => { values[column] = cells[columnIndex]; });
+
+            try {
+                const application = parseCsvApplication(values);
+                // A tracked job never seen yet has no observation on its row
+                const hasObservation = !application || values.observedAt || values.views || values.applies;
+                if (!isJobId(values.jobId)) throw new Error('missing or invalid jobId');
+
+                addToRecord(recordsById, values.jobId, {
+                    observation: hasObservation ? validateObservation(values.jobId, {
+                        timestamp: values.observedAt,
+                        views: values.views,
+                        applies: values.applies
+                    }) : null,
+                    details: sanitizeDetails(values),
+                    application: application
+                });
+            } catch (e) {
+                rejected.push({ row: `line ${line}`, reason: e.message });
+            }
+        });
+
+        return { records: Array.from(recordsById.values()), rejected: rejected };
+    }
+
+    // The application columns of a CSV row, or null when the job was not tracked.
+    // Files exported before these columns existed have none of them.
+    function parseCsvApplication(values) {
+        if (!values.applicationStatus && !values.applicationNote && !values.appliedAt) return null;
+        return validateApplication({
+            status: values.applicationStatus,
+            note: unescapeFormula(values.applicationNote || ''),
+            updatedAt: values.applicationUpdatedAt,
+            events: values.appliedAt
+                ? [{ status: 'applied', timestamp: values.appliedAt, views: values.appliedViews, applies: values.appliedApplies }]
+                : []
+        });
+    }
+
+    // Pick the parser from the file name, falling back to sniffing the content
+    function parseFile(name, text) {
+        const isJson = /\.json$/i.test(name) || (!/\.csv$/i.test(name) && text.trim().startsWith('{'));
+        return isJson ? parseJson(text) : parseCsv(text);
+    }
+
+    function getFileName(extension, now = new Date()) {
+        return `linkedin-job-stats-${now.toISOString().slice(0, 10)}.${extension}`;
+    }
+
+    global.JobStatsIO = {
+        FORMAT,
+        FORMAT_VERSION,
+        CSV_COLUMNS,
+        toJson,
+        toCsv,
+        parseJson,
+        parseCsv,
+        parseFile,
+        getFileName
+    };
+})(self);
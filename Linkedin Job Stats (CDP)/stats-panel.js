@@ -0,0 +1,1034 @@
+// Floating glass panel showing the open job's stats, trends and history, in a closed shadow root
+(function(global) {
+    'use strict';
+
+    // Content scripts cannot register custom elements (customElements is null in their isolated
+    // world), so the host is an undefined element of this name; it may still hold a shadow root
+    const TAG_NAME = 'linkedin-job-stats-panel';
+    const FILTER_ID = 'glass-distortion';
+    // Classes LinkedIn puts on <html> for its light and dark themes
+    const LINKEDIN_THEME_CLASSES = { 'theme--dark': 'dark', 'theme--light': 'light' };
+    const HIGH_CONTRAST_QUERIES = ['(prefers-contrast: more)', '(forced-colors: active)'];
+    const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+    const WAITING_TEXT = 'Select a job to see stats.';
+    // Clicks on these start no drag
+    const NO_DRAG_SELECTOR = 'button, select, input, textarea, label, a';
+    // Arrow keys move the focused panel this many pixels, Shift+arrow five times as far
+    const NUDGE_STEP = 10;
+    const NUDGE_KEYS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    const STATUS_CLEAR_DELAY = 2500;
+
+    // Position and shown rows from the options page (see settings.js); null shows every row
+    let layout = { corner: 'top-right', offsetX: 20, offsetY: 80, shownStats: null };
+    // Dragged positions, collapsed and dismissed state from panel-state.js, once loaded
+    let state = { ready: false, positions: {}, collapsed: false, dismissed: false };
+    let lastRender = null;
+    let showPanel = null;
+    let statusTimer = null;
+    // The open panel's host element and the panel inside its shadow root; only this script holds them
+    let host = null;
+    let panel = null;
+    let themeWatched = false;
+
+    function escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    function formatCount(value) {
+        return typeof value === 'number' && isFinite(value) ? value.toLocaleString() : 'N/A';
+    }
+
+    // Title, company and location line for the panel
+    function renderJobSummary(details) {
+        if (!details || !details.title) return '';
+
+        const meta = [details.company, details.location, details.workplaceType].filter(Boolean);
+        const applyLabel = details.applyMethod === 'easy_apply' ? 'Easy Apply'
+            : details.applyMethod === 'external' ? 'External apply' : '';
+
+        return `
+            <div class="job-summary">
+                <div class="job-title">${escapeHtml(details.title)}</div>
+                ${meta.length ? `<div class="job-meta">${escapeHtml(meta.join(' · '))}</div>` : ''}
+                ${applyLabel ? `<span class="job-apply-method">${applyLabel}</span>` : ''}
+            </div>
+        `;
+    }
+
+    function isShown(stat) {
+        return !layout.shownStats || layout.shownStats.includes(stat);
+    }
+
+    // One term and value of a stats list
+    function renderStatItem(label, value, className = '') {
+        return `<div class="stat-item${className}"><dt>${label}</dt><dd>${value}</dd></div>`;
+    }
+
+    // A definition list of the shown rows, left out when none are shown
+    function renderStatList(items) {
+        const rows = items.filter(Boolean).join('');
+        return rows ? `<dl class="stat-list">${rows}</dl>` : '';
+    }
+
+    // Panel body for a job's latest stats and, when known, its saved history
+    function renderStats(stats, record) {
+        const trends = JobStatsTrends.summarize(stats, record);
+        const trendText = record ? JobStatsTrends.describeDelta(trends.delta) : '';
+        const appliesPerDay = trends.appliesPerDay !== null ? trends.appliesPerDay.toFixed(1) : 'N/A';
+        const conversion = trends.conversion !== null ? `${(trends.conversion * 100).toFixed(1)}%` : 'N/A';
+        const sparkline = record ? JobStatsSparkline.render(record.observations) : '';
+        const postingAge = trends.postingAge;
+        const liveFor = postingAge ? JobStatsTrends.formatDuration(postingAge.age) : 'N/A';
+        const details = stats.details || (record && record.details) || null;
+
+        return `
+            ${isShown('summary') ? renderJobSummary(details) : ''}
+            ${renderStatList([
+                isShown('views') && renderStatItem('Views:', formatCount(stats.views)),
+                isShown('applies') && renderStatItem('Applicants:', formatCount(stats.applies)),
+                isShown('liveFor') && renderStatItem('Live for:', liveFor, ' stat-secondary')
+            ])}
+            ${postingAge && postingAge.reposted ? `<div class="stat-warning">Reposted · first listed ${JobStatsTrends.formatDuration(postingAge.originalAge)} ago</div>` : ''}
+            ${trendText && isShown('trend') ? `<div class="stat-trend">${trendText}</div>` : ''}
+            ${sparkline && isShown('sparkline') ? `<div class="stat-sparkline">${sparkline}<div class="sparkline-legend"><span class="legend-applies">Applicants</span><span class="legend-views">Views</span></div></div>` : ''}
+            ${renderStatList([
+                isShown('appliesPerDay') && renderStatItem('Applies/day:', appliesPerDay, ' stat-secondary'),
+                isShown('conversion') && renderStatItem('Views → applies:', conversion, ' stat-secondary')
+            ])}
+            ${isShown('jobId') ? `<div class="job-info">Job ID: ${escapeHtml(stats.jobId || 'N/A')}</div>` : ''}
+        `;
+    }
+
+    // The panel element inside the shadow root, or null when no panel is open
+    function getPopup() {
+        return host && host.isConnected ? panel : null;
+    }
+
+    // High contrast when the OS asks for it, else LinkedIn's own theme, else the OS color scheme
+    function detectTheme() {
+        if (HIGH_CONTRAST_QUERIES.some(query => window.matchMedia(query).matches)) return 'high-contrast';
+        const linkedInClass = Object.keys(LINKEDIN_THEME_CLASSES)
+            .find(name => document.documentElement.classList.contains(name));
+        if (linkedInClass) return LINKEDIN_THEME_CLASSES[linkedInClass];
+        return window.matchMedia(DARK_SCHEME_QUERY).matches ? 'dark' : 'light';
+    }
+
+    function applyTheme() {
+        if (host) host.dataset.theme = detectTheme();
+    }
+
+    // Follow LinkedIn switching theme, and the OS contrast and color scheme, while the page is open
+    function watchTheme() {
+        if (themeWatched) return;
+        themeWatched = true;
+        new MutationObserver(applyTheme).observe(document.documentElement, { attributes: true, attributeFilter: ['class'] });
+        HIGH_CONTRAST_QUERIES.concat(DARK_SCHEME_QUERY).forEach(query => {
+            window.matchMedia(query).addEventListener('change', applyTheme);
+        });
+    }
+
+    function getViewportKey() {
+        return PanelState.getViewportKey(window.innerWidth, window.innerHeight);
+    }
+
+    // Place the panel's top left corner, keeping it inside the viewport
+    function moveTo(popup, left, top) {
+        popup.style.left = `${Math.max(0, Math.min(window.innerWidth - popup.offsetWidth, left))}px`;
+        popup.style.top = `${Math.max(0, Math.min(window.innerHeight - popup.offsetHeight, top))}px`;
+        popup.style.right = 'auto';
+        popup.style.bottom = 'auto';
+    }
+
+    // Remember where the panel was moved to for the current window size
+    function savePosition(popup) {
+        const position = { left: parseFloat(popup.style.left), top: parseFloat(popup.style.top) };
+        state.positions[getViewportKey()] = position;
+        PanelState.savePosition(getViewportKey(), position).catch(error => {
+            console.log('Could not save the panel position:', error);
+        });
+    }
+
+    // With the panel itself focused, arrow keys nudge it like a drag would
+    function makeKeyboardMovable(popup) {
+        popup.addEventListener('keydown', (e) => {
+            const direction = NUDGE_KEYS[e.key];
+            if (!direction || e.target !== popup || e.altKey || e.ctrlKey || e.metaKey) return;
+
+            const step = e.shiftKey ? NUDGE_STEP * 5 : NUDGE_STEP;
+            const rect = popup.getBoundingClientRect();
+            const left = popup.style.left && popup.style.left !== 'auto' ? parseFloat(popup.style.left) : rect.left;
+            const top = popup.style.top && popup.style.top !== 'auto' ? parseFloat(popup.style.top) : rect.top;
+            moveTo(popup, left + direction[0] * step, top + direction[1] * step);
+            savePosition(popup);
+            e.preventDefault();
+        });
+    }
+
+    // Draggable with a mouse, pen or finger anywhere on the panel except its controls, clamped to
+    // the viewport. The panel captures the pointer, so a fast drag cannot slip off it onto the page.
+    // Where it is dropped is saved for the current window size.
+    function makeDraggable(popup) {
+        let pointerId = null, moved = false, offsetX = 0, offsetY = 0;
+
+        popup.addEventListener('pointerdown', (e) => {
+            if (pointerId !== null || e.button !== 0 || e.target.closest(NO_DRAG_SELECTOR)) return;
+            pointerId = e.pointerId;
+            moved = false;
+            popup.setPointerCapture(e.pointerId);
+            popup.style.transition = 'none';
+            offsetX = e.clientX - popup.getBoundingClientRect().left;
+            offsetY = e.clientY - popup.getBoundingClientRect().top;
+            popup.style.cursor = 'grabbing';
+            document.body.style.userSelect = 'none';
+            e.preventDefault();
+        });
+
+        popup.addEventListener('pointermove', (e) => {
+            if (e.pointerId !== pointerId) return;
+            moved = true;
+            moveTo(popup, e.clientX - offsetX, e.clientY - offsetY);
+        });
+
+        const endDrag = (e) => {
+            if (e.pointerId !== pointerId) return;
+            pointerId = null;
+            popup.style.transition = '';
+            popup.style.cursor = '';
+            document.body.style.userSelect = '';
+            if (moved) savePosition(popup);
+        };
+        popup.addEventListener('pointerup', endDrag);
+        popup.addEventListener('pointercancel', endDrag);
+        popup.addEventListener('lostpointercapture', endDrag);
+
+        // Dropping the collapsed pill is not a click on it
+        popup.addEventListener('click', (e) => {
+            if (!moved) return;
+            moved = false;
+            e.stopPropagation();
+        }, true);
+    }
+
+    // Put the panel where it was last dragged in a window this size, or else in its configured corner
+    function applyPosition(popup) {
+        const saved = state.positions[getViewportKey()];
+        if (saved) {
+            const position = PanelState.clampPosition(
+                saved,
+                { width: window.innerWidth, height: window.innerHeight },
+                { width: popup.offsetWidth, height: popup.offsetHeight }
+            );
+            popup.style.left = `${position.left}px`;
+            popup.style.top = `${position.top}px`;
+            popup.style.right = 'auto';
+            popup.style.bottom = 'auto';
+            return;
+        }
+
+        const [vertical, horizontal] = layout.corner.split('-');
+        popup.style.top = vertical === 'top' ? `${layout.offsetY}px` : 'auto';
+        popup.style.bottom = vertical === 'bottom' ? `${layout.offsetY}px` : 'auto';
+        popup.style.right = horizontal === 'right' ? `${layout.offsetX}px` : 'auto';
+        popup.style.left = horizontal === 'left' ? `${layout.offsetX}px` : 'auto';
+    }
+
+    // Take the panel settings; an open panel moves and re-renders right away
+    function configure(settings) {
+        layout = {
+            corner: settings.panelCorner,
+            offsetX: settings.panelOffsetX,
+            offsetY: settings.panelOffsetY,
+            shownStats: settings.shownStats.slice()
+        };
+
+        const popup = getPopup();
+        if (!popup) return;
+        applyPosition(popup);
+        if (lastRender) render(lastRender.stats, lastRender.record);
+    }
+
+    // Watch toggle in the header, shown when create() is given onWatchToggle
+    function renderWatchButton() {
+        return '<button class="watch-btn" aria-pressed="false" title="Watch this job" disabled>☆ Watch</button>';
+    }
+
+    function setWatched(watched, enabled = true) {
+        const popup = getPopup();
+        const button = popup ? popup.querySelector('.watch-btn') : null;
+        if (!button) return;
+
+        button.disabled = !enabled;
+        button.setAttribute('aria-pressed', String(!!watched));
+        button.textContent = watched ? '★ Watching' : '☆ Watch';
+        button.title = watched ? 'Stop watching this job' : 'Watch this job';
+    }
+
+    // What the live region reads out when new stats arrive: the counts, then the job
+    function describeUpdate(stats, record) {
+        const details = stats.details || (record && record.details) || null;
+        const counts = `${formatCount(stats.applies)} applicants, ${formatCount(stats.views)} views`;
+        return details && details.title ? `${counts} for ${details.title}` : counts;
+    }
+
+    // Polite, so screen readers finish what they are reading first; unchanged numbers are not repeated
+    function announceUpdate(popup, text) {
+        const region = popup.querySelector('.stats-live');
+        if (region.textContent !== text) region.textContent = text;
+    }
+
+    // Pill text for the collapsed panel
+    function renderPill(stats) {
+        return stats && typeof stats.applies === 'number' ? `${formatCount(stats.applies)} applicants` : 'Job stats';
+    }
+
+    function setCollapsed(popup, collapsed) {
+        popup.classList.toggle('collapsed', collapsed);
+        popup.querySelector('.collapse-btn').setAttribute('aria-expanded', String(!collapsed));
+    }
+
+    // Create the panel once; later calls return the existing one. Returns null until the
+    // saved state has loaded (see watchState) and while the user has dismissed the panel.
+    // options: { title, onWatchToggle } where onWatchToggle adds the watch button
+    function create(options = {}) {
+        const existing = getPopup();
+        if (existing) return existing;
+        if (!state.ready || state.dismissed) return null;
+
+        host = document.createElement(TAG_NAME);
+        const root = host.attachShadow({ mode: 'closed' });
+        root.innerHTML = `<style>${renderStyles()}</style>${renderGlassFilter()}`;
+        applyTheme();
+        watchTheme();
+
+        const popup = document.createElement('div');
+        popup.className = 'panel';
+        popup.tabIndex = 0;
+        popup.setAttribute('role', 'region');
+        popup.setAttribute('aria-labelledby', 'panel-title');
+        popup.setAttribute('aria-describedby', 'panel-hint');
+        popup.innerHTML = `
+            <div class="stats-header">
+                ${options.onWatchToggle ? renderWatchButton() : ''}
+                <h2 class="panel-title" id="panel-title">${escapeHtml(options.title || 'LinkedIn Job Stats')}</h2>
+                <button class="collapse-btn" aria-label="Collapse" aria-expanded="true" title="Collapse to the applicant count">&minus;</button>
+                <button class="close-btn" id="job-stats-close-btn" aria-label="Close" title="Hide until shown again or the browser restarts">&times;</button>
+            </div>
+            <p class="visually-hidden" id="panel-hint">Arrow keys move the panel while it has focus.</p>
+            <div class="pill" role="button" tabindex="0" aria-expanded="false" title="Expand">${renderPill(lastRender && lastRender.stats)}</div>
+            <div class="stats-content">
+                <div class="stat-placeholder">${WAITING_TEXT}</div>
+            </div>
+            <div class="stats-live visually-hidden" aria-live="polite" aria-atomic="true"></div>
+            <div class="panel-status" role="status"></div>
+            <div class="footer">&copy; Made by evin</div>
+        `;
+
+        root.appendChild(popup);
+        document.body.appendChild(host);
+        panel = popup;
+        applyPosition(popup);
+        setCollapsed(popup, state.collapsed);
+        if (lastRender) {
+            popup.querySelector('.stats-content').innerHTML = renderStats(lastRender.stats, lastRender.record);
+        }
+
+        popup.querySelector('.close-btn').addEventListener('click', () => dismiss());
+        popup.querySelector('.collapse-btn').addEventListener('click', () => saveCollapsed(true, true));
+        popup.querySelector('.pill').addEventListener('click', () => saveCollapsed(false, true));
+        popup.querySelector('.pill').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                saveCollapsed(false, true);
+            }
+        });
+        if (options.onWatchToggle) {
+            popup.querySelector('.watch-btn').addEventListener('click', () => options.onWatchToggle());
+        }
+        makeDraggable(popup);
+        makeKeyboardMovable(popup);
+
+        setTimeout(() => popup.classList.add('visible'), 40);
+        return popup;
+    }
+
+    // Kept while the panel is dismissed or not yet created, so it opens with the latest stats
+    function render(stats, record = null) {
+        lastRender = { stats, record };
+        const popup = getPopup();
+        if (!popup) return;
+        popup.querySelector('.stats-content').innerHTML = renderStats(stats, record);
+        popup.querySelector('.pill').textContent = renderPill(stats);
+        announceUpdate(popup, describeUpdate(stats, record));
+    }
+
+    // The stats and record last rendered, or null while waiting for a job
+    function getRendered() {
+        return lastRender;
+    }
+
+    function setWaiting() {
+        lastRender = null;
+        const popup = getPopup();
+        if (!popup) return;
+        popup.querySelector('.stats-content').innerHTML = `<div class="stat-placeholder">${WAITING_TEXT}</div>`;
+        popup.querySelector('.pill').textContent = renderPill(null);
+        announceUpdate(popup, '');
+    }
+
+    // moveFocus when the change came from a control inside the panel: that control is hidden now,
+    // so the keyboard moves to the pill on collapse and back to the collapse button on expand
+    function saveCollapsed(collapsed, moveFocus = false) {
+        state.collapsed = collapsed;
+        const popup = getPopup();
+        if (popup) {
+            setCollapsed(popup, collapsed);
+            if (moveFocus) popup.querySelector(collapsed ? '.pill' : '.collapse-btn').focus();
+        }
+        PanelState.setCollapsed(collapsed).catch(error => {
+            console.log('Could not save the collapsed panel:', error);
+        });
+    }
+
+    // From the keyboard shortcut, which only moves focus if it was on one of the panel's controls
+    function toggleCollapsed() {
+        const popup = getPopup();
+        const focused = popup ? popup.getRootNode().activeElement : null;
+        saveCollapsed(!state.collapsed, !!focused && focused !== popup && popup.contains(focused));
+    }
+
+    // Short confirmation under the panel's controls, e.g. after a keyboard shortcut.
+    // While the panel is dismissed the service worker flashes it on the toolbar button instead.
+    function announce(text, failed = false) {
+        const popup = getPopup();
+        if (!popup) {
+            chrome.runtime.sendMessage({ type: 'FLASH_BADGE', text: text, failed: failed }).catch(error => {
+                console.log('Could not show the confirmation:', error);
+            });
+            return;
+        }
+        const status = popup.querySelector('.panel-status');
+        status.textContent = text;
+        clearTimeout(statusTimer);
+        statusTimer = setTimeout(() => {
+            status.textContent = '';
+        }, STATUS_CLEAR_DELAY);
+    }
+
+    // Show a dismissed panel again in every tab, focused in this one so the keyboard can reach it
+    function show() {
+        state.dismissed = false;
+        if (showPanel) showPanel();
+        const popup = getPopup();
+        if (popup) popup.focus();
+        PanelState.setDismissed(false).catch(error => {
+            console.log('Could not save the shown panel:', error);
+        });
+    }
+
+    function toggle() {
+        if (getPopup()) {
+            dismiss();
+        } else {
+            show();
+        }
+    }
+
+    // Hide the panel in every tab for the rest of the browser session
+    function dismiss() {
+        state.dismissed = true;
+        remove();
+        PanelState.setDismissed(true).catch(error => {
+            console.log('Could not save the dismissed panel:', error);
+        });
+    }
+
+    // Load the saved panel state, then call onShow() whenever the panel should be created:
+    // once loaded unless dismissed, and each time it is shown again from another window.
+    // onShow creates the panel with the build's own controls.
+    function watchState(onShow) {
+        showPanel = onShow;
+        PanelState.watch(changes => {
+            if (changes.positions) {
+                state.positions = changes.positions;
+                const popup = getPopup();
+                if (popup) applyPosition(popup);
+            }
+            if ('collapsed' in changes && changes.collapsed !== state.collapsed) {
+                state.collapsed = changes.collapsed;
+                const popup = getPopup();
+                if (popup) setCollapsed(popup, state.collapsed);
+            }
+            if ('dismissed' in changes && changes.dismissed !== state.dismissed) {
+                state.dismissed = changes.dismissed;
+                if (state.dismissed) {
+                    remove();
+                } else if (state.ready) {
+                    onShow();
+                }
+            }
+        });
+
+        window.addEventListener('resize', () => {
+            const popup = getPopup();
+            if (popup) applyPosition(popup);
+        });
+
+        PanelState.load().then(loaded => {
+            state = Object.assign(loaded, { ready: true });
+        }).catch(error => {
+            console.log('Could not load the panel state:', error);
+            state.ready = true;
+        }).then(() => {
+            if (!state.dismissed) onShow();
+        });
+    }
+
+    // The panel is forgotten straight away so a panel shown during the fade-out is a new one;
+    // only the fading host is left to remove once the animation ends
+    function remove() {
+        const closing = getPopup();
+        if (!closing) return;
+        const closingHost = host;
+        host = null;
+        panel = null;
+        closing.classList.remove('visible');
+        setTimeout(() => closingHost.remove(), 300);
+    }
+
+    // Styles for the shadow root: nothing here reaches LinkedIn's page, and nothing of LinkedIn's reaches in
+    // except inherited properties, which :host resets. Colors come from the theme on the host.
+    function renderStyles() {
+        return `
+            :host {
+                all: initial;
+                --panel-text: #202124;
+                --panel-heading: #1c1c1e;
+                --panel-body: #2c2c2e;
+                --panel-secondary: #48484a;
+                --panel-meta: #636366;
+                --panel-muted: #757575;
+                --panel-faint: #8e8e93;
+                --panel-icon: #808080;
+                --panel-icon-hover: #666;
+                --panel-accent: #0a66c2;
+                --panel-accent-soft: rgba(10, 102, 194, 0.1);
+                --panel-watched: #b26a00;
+                --panel-disabled: #a0a0a0;
+                --panel-divider: rgba(237, 237, 237, 0.3);
+                --panel-glass: rgba(255, 255, 255, 0.175);
+                --panel-glow: rgba(255, 255, 255, 0.7);
+                --panel-shadow: rgba(0, 0, 0, 0.2);
+                --panel-border: transparent;
+                --panel-warning-bg: rgba(255, 149, 0, 0.15);
+                --panel-warning-text: #a05a00;
+                --panel-field-bg: rgba(255, 255, 255, 0.6);
+                --panel-field-border: rgba(0, 0, 0, 0.15);
+            }
+
+            /* LinkedIn's dark mode */
+            :host([data-theme="dark"]) {
+                --panel-text: #e8e8ea;
+                --panel-heading: #f5f5f7;
+                --panel-body: #e5e5ea;
+                --panel-secondary: #c7c7cc;
+                --panel-meta: #aeaeb2;
+                --panel-muted: #a1a1a6;
+                --panel-faint: #8e8e93;
+                --panel-icon: #a1a1a6;
+                --panel-icon-hover: #d1d1d6;
+                --panel-accent: #70b5f9;
+                --panel-accent-soft: rgba(112, 181, 249, 0.16);
+                --panel-watched: #f5b342;
+                --panel-disabled: #6e6e73;
+                --panel-divider: rgba(255, 255, 255, 0.12);
+                --panel-glass: rgba(27, 31, 35, 0.72);
+                --panel-glow: rgba(255, 255, 255, 0.12);
+                --panel-shadow: rgba(0, 0, 0, 0.5);
+                --panel-warning-bg: rgba(255, 159, 10, 0.2);
+                --panel-warning-text: #ffb340;
+                --panel-field-bg: rgba(0, 0, 0, 0.3);
+                --panel-field-border: rgba(255, 255, 255, 0.2);
+            }
+
+            /* Increased contrast or forced colors in the OS: solid panel, no glass */
+            :host([data-theme="high-contrast"]) {
+                --panel-text: #fff;
+                --panel-heading: #fff;
+                --panel-body: #fff;
+                --panel-secondary: #fff;
+                --panel-meta: #fff;
+                --panel-muted: #fff;
+                --panel-faint: #fff;
+                --panel-icon: #fff;
+                --panel-icon-hover: #ffd60a;
+                --panel-accent: #ffd60a;
+                --panel-accent-soft: #000;
+                --panel-watched: #ffd60a;
+                --panel-disabled: #a0a0a0;
+                --panel-divider: #fff;
+                --panel-glass: #000;
+                --panel-glow: transparent;
+                --panel-shadow: transparent;
+                --panel-border: #fff;
+                --panel-warning-bg: #000;
+                --panel-warning-text: #ffd60a;
+                --panel-field-bg: #000;
+                --panel-field-border: #fff;
+            }
+
+            .panel {
+                position: fixed;
+                width: 240px;
+                min-height: 140px;
+                border-radius: 20px;
+                z-index: 10000;
+                font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", sans-serif;
+                font-size: 13px;
+                color: var(--panel-text);
+                display: flex;
+                flex-direction: column;
+                box-sizing: border-box;
+                cursor: grab;
+                isolation: isolate;
+                touch-action: none;
+                border: 2px solid var(--panel-border);
+                box-shadow: 0px 6px 24px var(--panel-shadow);
+                opacity: 0;
+                transform: translateX(20px) scale(1.25);
+                transition: opacity 0.3s ease, transform 0.3s ease;
+            }
+
+            .panel.visible {
+                opacity: 1;
+                transform: none;
+            }
+
+            .panel:focus-visible {
+                outline: 2px solid var(--panel-accent);
+                outline-offset: 2px;
+            }
+
+            .panel::before {
+                content: '';
+                position: absolute;
+                inset: 0;
+                z-index: 0;
+                border-radius: 18px;
+                box-shadow: inset 0 0 20px -5px var(--panel-glow);
+                background-color: var(--panel-glass);
+            }
+
+            .panel::after {
+                content: '';
+                position: absolute;
+                inset: 0;
+                z-index: -1;
+                border-radius: 18px;
+                backdrop-filter: blur(2px);
+                filter: url(#${FILTER_ID});
+                isolation: isolate;
+                -webkit-backdrop-filter: blur(2px);
+                -webkit-filter: url("#${FILTER_ID}");
+            }
+
+            :host([data-theme="high-contrast"]) .panel::after {
+                display: none;
+            }
+
+            .stats-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                padding: 8px 12px 4px 14px;
+                border-bottom: 1px solid var(--panel-divider);
+                position: relative;
+                z-index: 1;
+            }
+
+            .panel-title {
+                margin: 0;
+                flex: 1;
+                text-align: center;
+                font-size: 16px;
+                font-weight: 700;
+                letter-spacing: -0.2px;
+                color: var(--panel-heading);
+                user-select: none;
+            }
+
+            button:focus-visible,
+            select:focus-visible,
+            textarea:focus-visible,
+            input:focus-visible,
+            .pill:focus-visible {
+                outline: 2px solid var(--panel-accent);
+                outline-offset: 2px;
+                border-radius: 4px;
+            }
+
+            /* Read by screen readers, not shown */
+            .visually-hidden {
+                position: absolute;
+                width: 1px;
+                height: 1px;
+                margin: -1px;
+                padding: 0;
+                overflow: hidden;
+                clip: rect(0 0 0 0);
+                white-space: nowrap;
+                border: 0;
+            }
+
+            .close-btn {
+                background: none;
+                border: none;
+                color: var(--panel-icon);
+                font-size: 20px;
+                cursor: pointer;
+                display: flex;
+                align-items: center;
+                padding: 0 0 0 6px;
+                margin: 0;
+                line-height: 1;
+                font-weight: 400;
+                transition: color 0.2s ease;
+            }
+
+            .close-btn:hover {
+                color: var(--panel-icon-hover);
+            }
+
+            .collapse-btn {
+                background: none;
+                border: none;
+                color: var(--panel-icon);
+                font-size: 18px;
+                cursor: pointer;
+                padding: 0 0 0 6px;
+                margin: 0;
+                line-height: 1;
+            }
+
+            .collapse-btn:hover {
+                color: var(--panel-icon-hover);
+            }
+
+            .pill {
+                display: none;
+            }
+
+            .panel.collapsed {
+                width: auto;
+                min-height: 0;
+            }
+
+            .panel.collapsed,
+            .panel.collapsed::before,
+            .panel.collapsed::after {
+                border-radius: 999px;
+            }
+
+            .panel.collapsed > :not(.pill):not(.stats-live):not(.panel-status) {
+                display: none;
+            }
+
+            .panel.collapsed .pill {
+                display: block;
+                position: relative;
+                z-index: 1;
+                padding: 6px 14px;
+                font-size: 13px;
+                font-weight: 700;
+                color: var(--panel-heading);
+                white-space: nowrap;
+                user-select: none;
+            }
+
+            .watch-btn {
+                background: none;
+                border: none;
+                color: var(--panel-accent);
+                font-size: 12px;
+                font-weight: 600;
+                cursor: pointer;
+                padding: 0 6px 0 0;
+                margin: 0;
+                white-space: nowrap;
+            }
+
+            .watch-btn[aria-pressed="true"] {
+                color: var(--panel-watched);
+            }
+
+            .watch-btn:disabled {
+                color: var(--panel-disabled);
+                cursor: default;
+            }
+
+            .stats-content {
+                flex: 1 1 auto;
+                padding: 10px 14px 0 14px;
+                font-size: 14px;
+                overflow-y: auto;
+                color: var(--panel-body);
+                position: relative;
+                z-index: 1;
+            }
+
+            .stat-placeholder {
+                text-align: center;
+                color: var(--panel-muted);
+                font-style: italic;
+                padding: 1em;
+            }
+
+            .stat-list {
+                margin: 0;
+            }
+
+            .stat-item {
+                display: flex;
+                justify-content: space-between;
+                margin: 6px 0;
+                font-weight: 600;
+                padding: 4px 0;
+            }
+
+            .stat-item dt,
+            .stat-item dd {
+                margin: 0;
+            }
+
+            .job-summary {
+                text-align: center;
+                padding: 0 0 6px 0;
+                border-bottom: 1px solid var(--panel-divider);
+            }
+
+            .job-title {
+                font-size: 13px;
+                font-weight: 700;
+                color: var(--panel-heading);
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+
+            .job-meta {
+                font-size: 11px;
+                color: var(--panel-meta);
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+
+            .job-apply-method {
+                display: inline-block;
+                margin-top: 3px;
+                padding: 1px 6px;
+                border-radius: 8px;
+                background: var(--panel-accent-soft);
+                color: var(--panel-accent);
+                font-size: 10px;
+                font-weight: 600;
+            }
+
+            .stat-secondary {
+                margin: 2px 0;
+                font-size: 12px;
+                font-weight: 500;
+                color: var(--panel-secondary);
+            }
+
+            .stat-warning {
+                margin: 2px 0 4px 0;
+                padding: 3px 8px;
+                border-radius: 8px;
+                background: var(--panel-warning-bg);
+                color: var(--panel-warning-text);
+                font-size: 11px;
+                font-weight: 600;
+                text-align: center;
+            }
+
+            .stat-trend {
+                font-size: 12px;
+                font-weight: 600;
+                color: var(--panel-accent);
+                text-align: center;
+                padding: 0 0 4px 0;
+            }
+
+            .stat-sparkline {
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                padding: 2px 0 4px 0;
+            }
+
+            /* Beats the sparkline's stroke attributes, so the lines follow the theme */
+            .stat-sparkline polyline {
+                stroke: var(--panel-accent);
+            }
+
+            .stat-sparkline polyline[stroke-dasharray] {
+                stroke: var(--panel-faint);
+            }
+
+            .sparkline-legend {
+                display: flex;
+                gap: 10px;
+                font-size: 10px;
+                font-weight: 500;
+                color: var(--panel-muted);
+            }
+
+            .sparkline-legend span::before {
+                content: '';
+                display: inline-block;
+                width: 10px;
+                height: 2px;
+                margin-right: 4px;
+                vertical-align: middle;
+            }
+
+            .legend-applies::before {
+                background: var(--panel-accent);
+            }
+
+            .legend-views::before {
+                border-top: 2px dashed var(--panel-faint);
+            }
+
+            .job-info {
+                font-size: 11px;
+                text-align: center;
+                color: var(--panel-muted);
+                padding-top: 3px;
+            }
+
+            .application-controls,
+            .results-controls {
+                display: flex;
+                flex-direction: column;
+                gap: 4px;
+                padding: 6px 14px 2px 14px;
+                font-size: 11px;
+                font-weight: 500;
+                color: var(--panel-secondary);
+                position: relative;
+                z-index: 1;
+                cursor: default;
+            }
+
+            .application-controls label,
+            .results-controls label {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+            }
+
+            .application-controls select,
+            .application-controls textarea,
+            .results-controls select,
+            .results-controls input {
+                flex: 1;
+                min-width: 0;
+                font: inherit;
+                color: var(--panel-text);
+                padding: 2px 4px;
+                border: 1px solid var(--panel-field-border);
+                border-radius: 6px;
+                background: var(--panel-field-bg);
+            }
+
+            .application-controls textarea {
+                resize: vertical;
+            }
+
+            .application-snapshot:empty {
+                display: none;
+            }
+
+            .panel-status {
+                padding: 4px 14px 0 14px;
+                font-size: 11px;
+                font-weight: 600;
+                color: var(--panel-accent);
+                text-align: center;
+                position: relative;
+                z-index: 1;
+            }
+
+            .panel-status:empty {
+                display: none;
+            }
+
+            .footer {
+                font-size: 10px;
+                text-align: center;
+                color: var(--panel-faint);
+                margin: 5px 0 6px 0;
+                flex-shrink: 0;
+                border-top: 1px solid var(--panel-divider);
+                padding: 3px 0 0 0;
+                letter-spacing: 0.2px;
+                font-weight: 500;
+                user-select: none;
+                position: relative;
+                z-index: 1;
+            }
+
+            /* No slide, scale or fade for users who ask for less motion */
+            @media (prefers-reduced-motion: reduce) {
+                .panel,
+                .panel.visible {
+                    transform: none;
+                    transition: none;
+                }
+
+                .close-btn {
+                    transition: none;
+                }
+            }
+        `;
+    }
+
+    // SVG filter for the glass distortion effect, kept in the shadow root with the styles that use it
+    function renderGlassFilter() {
+        return `
+            <svg aria-hidden="true" style="position: absolute; overflow: hidden; width: 0; height: 0;">
+                <defs>
+                    <filter id="${FILTER_ID}" x="0%" y="0%" width="100%" height="100%">
+                        <feTurbulence type="fractalNoise" baseFrequency="0.008 0.008" numOctaves="1" seed="92" result="noise" />
+                        <feGaussianBlur in="noise" stdDeviation="2" result="blurred" />
+                        <feDisplacementMap in="SourceGraphic" in2="blurred" scale="77" xChannelSelector="R" yChannelSelector="G" />
+                    </filter>
+                </defs>
+            </svg>
+        `;
+    }
+
+    global.JobStatsPanel = {
+        TAG_NAME,
+        escapeHtml,
+        renderJobSummary,
+        renderStats,
+        getPopup,
+        create,
+        configure,
+        watchState,
+        render,
+        getRendered,
+        setWaiting,
+        setWatched,
+        announce,
+        toggleCollapsed,
+        toggle,
+        show,
+        dismiss,
+        remove
+    };
+})(self);
@@ -0,0 +1,56 @@
+// Inline SVG sparkline of a job's views and applies history
+(function(global) {
+    'use strict';
+
+    const DEFAULTS = {
+        width: 200,
+        height: 36,
+        padding: 3,
+        viewsColor: '#8e8e93',
+        appliesColor: '#0a66c2'
+    };
+
+    // Map one series onto the chart area, each series scaled to its own range
+    function toPoints(observations, key, options, start, span) {
+        const values = observations
+            .filter(item => typeof item[key] === 'number')
+            .map(item => ({ x: item.timestamp, y: item[key] }));
+        if (values.length < 2) return '';
+
+        const min = Math.min(...values.map(point => point.y));
+        const max = Math.max(...values.map(point => point.y));
+        const range = max - min || 1;
+        const innerWidth = options.width - options.padding * 2;
+        const innerHeight = options.height - options.padding * 2;
+
+        return values.map(point => {
+            const x = options.padding + ((point.x - start) / span) * innerWidth;
+            // A flat series is drawn through the middle of the chart
+            const ratio = max === min ? 0.5 : (point.y - min) / range;
+            const y = options.padding + (1 - ratio) * innerHeight;
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join(' ');
+    }
+
+    function render(observations, overrides) {
+        const options = Object.assign({}, DEFAULTS, overrides);
+        if (!observations || observations.length < 2) return '';
+
+        const start = observations[0].timestamp;
+        const span = observations[observations.length - 1].timestamp - start || 1;
+        const views = toPoints(observations, 'views', options, start, span);
+        const applies = toPoints(observations, 'applies', options, start, span);
+        if (!views && !applies) return '';
+
+        return `
+            <svg class="stats-sparkline" width="${options.width}" height="${options.height}"
+                 viewBox="0 0 ${options.width} ${options.height}" role="img"
+                 aria-label="Views and applicants over ${observations.length} observations">
+                ${views ? `<polyline points="${views}" fill="none" stroke="${options.viewsColor}" stroke-width="1.5" stroke-linejoin="round" stroke-dasharray="3 2" />` : ''}
+                ${applies ? `<polyline points="${applies}" fill="none" stroke="${options.appliesColor}" stroke-width="2" stroke-linejoin="round" />` : ''}
+            </svg>
+        `;
+    }
+
+    global.JobStatsSparkline = { render, DEFAULTS };
+})(self);
@@ -0,0 +1,58 @@
+// Alert rules listed with delete buttons and an add form, for the popup and the options page
+(function(global) {
+    'use strict';
+
+    function renderRule(rule, onRemove) {
+        const item = document.createElement('li');
+        const text = document.createElement('span');
+        text.textContent = JobAlerts.describeRule(rule);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'remove-btn';
+        remove.title = 'Delete rule';
+        remove.setAttribute('aria-label', `Delete rule: ${text.textContent}`);
+        remove.textContent = '×';
+        remove.addEventListener('click', () => onRemove(rule));
+
+        item.appendChild(text);
+        item.appendChild(remove);
+        return item;
+    }
+
+    // Fill `list` with the rules the service worker checks against every new observation.
+    // readRule() returns the rule the page's form describes; onAdded() resets that form.
+    // `send` posts a message to the worker and rejects on an error reply.
+    function attach({ list, status, addButton, readRule, onAdded = () => {}, send }) {
+        function removeRule(rule) {
+            send({ type: 'REMOVE_ALERT_RULE', id: rule.id }).then(load).catch(error => {
+                status.textContent = `Could not delete the rule: ${error.message}`;
+            });
+        }
+
+        function load() {
+            return send({ type: 'GET_ALERT_RULES' }).then(response => {
+                list.replaceChildren(...response.rules.map(rule => renderRule(rule, removeRule)));
+            }).catch(error => {
+                status.textContent = `Could not load alert rules: ${error.message}`;
+            });
+        }
+
+        addButton.addEventListener('click', () => {
+            send({ type: 'ADD_ALERT_RULE', rule: readRule() }).then(response => {
+                status.textContent = `Added: ${JobAlerts.describeRule(response.rule)}.`;
+                onAdded();
+                return load();
+            }).catch(error => {
+                status.textContent = error.message;
+            });
+        });
+
+        load();
+        return { load };
+    }
+
+    global.AlertRulesView = {
+        attach
+    };
+})(self);
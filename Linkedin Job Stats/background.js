@@ -0,0 +1,215 @@
+// background.js - Manifest V3 service worker for LinkedIn Job Stats
+
+importScripts('settings.js', 'panel-state.js', 'stats-cache.js', 'stats-store.js', 'toolbar-badge.js', 'job-posting.js', 'job-endpoints.js', 'watchlist.js', 'job-alerts.js', 'job-application.js');
+
+const TAB_STATE_KEY = 'tabState';
+const STATS_CACHE_MAX_SIZE = 100;
+
+const jobStatsHistory = new JobStatsHistory();
+const watchlist = new JobWatchlist();
+const jobAlerts = new JobAlerts();
+// Latest capture per job as the page sent it, preferred over stats rebuilt from history
+const statsCache = new JobStatsCache(STATS_CACHE_MAX_SIZE);
+
+// Tab-scoped state lives in session storage so it survives the worker being suspended.
+// Each tab keeps the job open in it and that job's latest stats: { activeJobId, stats }
+async function getAllTabState() {
+    const result = await chrome.storage.session.get([TAB_STATE_KEY]);
+    return result[TAB_STATE_KEY] || {};
+}
+
+async function getTabState(tabId) {
+    return (await getAllTabState())[tabId] || { activeJobId: null, stats: null };
+}
+
+// Updates are chained so concurrent messages from several tabs don't overwrite each other
+let tabStateQueue = Promise.resolve();
+
+function updateTabState(mutate) {
+    const update = tabStateQueue.then(async () => {
+        const tabState = await getAllTabState();
+        if (mutate(tabState) !== false) {
+            await chrome.storage.session.set({ [TAB_STATE_KEY]: tabState });
+        }
+    });
+    tabStateQueue = update.catch(() => {});
+    return update;
+}
+
+function setTabState(tabId, state) {
+    return updateTabState(tabState => {
+        tabState[tabId] = Object.assign({ activeJobId: null, stats: null }, tabState[tabId], state);
+    });
+}
+
+function clearTabState(tabId) {
+    return updateTabState(tabState => {
+        if (!(tabId in tabState)) return false;
+        delete tabState[tabId];
+    });
+}
+
+// A failed notification must not lose the observation that triggered it
+function checkAlerts(record) {
+    return jobAlerts.check(record).catch(error => {
+        console.warn('Failed to check alert rules:', error);
+    });
+}
+
+// Save an observation from a content script; it becomes the tab's current job
+// unless the tab has reported a different job open (e.g. prefetched list data)
+async function storeJobStats(stats, tabId) {
+    const record = await jobStatsHistory.recordObservation(stats);
+    statsCache.set(stats.jobId, stats);
+    await checkAlerts(record);
+
+    if (tabId !== undefined) {
+        const state = await getTabState(tabId);
+        if (!state.activeJobId || state.activeJobId === String(stats.jobId)) {
+            await setTabState(tabId, { stats });
+            await ToolbarBadge.update(tabId, stats);
+        }
+    }
+    await watchlist.recordCapture(stats);
+    return { record };
+}
+
+// The content script saw a different job open in its tab
+async function setActiveJob(tabId, jobId) {
+    const record = jobId ? await jobStatsHistory.getJob(jobId) : null;
+    const stats = (jobId && statsCache.get(jobId)) || JobStatsHistory.toStats(record);
+
+    await setTabState(tabId, { activeJobId: jobId ? String(jobId) : null, stats });
+    await ToolbarBadge.update(tabId, stats);
+    return { stats, record, watched: jobId ? await watchlist.has(jobId) : false };
+}
+
+// Re-color every badge when the thresholds change
+async function refreshBadges() {
+    const tabState = await getAllTabState();
+    await Promise.all(Object.keys(tabState).map(tabId => {
+        return ToolbarBadge.update(Number(tabId), tabState[tabId].stats);
+    }));
+}
+
+// Status and note set from the panel's application tracker
+async function setJobApplication(message) {
+    const update = JobApplication.normalizeUpdate(message);
+    const record = await jobStatsHistory.updateJob(String(message.jobId), job => JobApplication.applyUpdate(job, update));
+    return { record };
+}
+
+// An Easy Apply submission seen on the page, logged with the counts at that moment
+async function recordApplicationSubmitted(message) {
+    const record = await jobStatsHistory.updateJob(String(message.jobId), job => {
+        return JobApplication.recordSubmission(job, message.stats, message.source);
+    });
+    return { record };
+}
+
+async function watchJob(jobId) {
+    const record = await jobStatsHistory.getJob(jobId);
+    await watchlist.add(jobId, JobStatsHistory.toStats(record));
+    return { watched: true };
+}
+
+async function unwatchJob(jobId) {
+    await watchlist.remove(jobId);
+    return { watched: false };
+}
+
+// New counts from a scheduled check go into the history like any other observation
+function refreshWatchlist() {
+    return watchlist.refresh(async stats => checkAlerts(await jobStatsHistory.recordObservation(stats)));
+}
+
+const messageHandlers = {
+    STORE_JOB_STATS: (message, sender) => storeJobStats(message.data, sender.tab ? sender.tab.id : undefined),
+    ACTIVE_JOB_CHANGED: (message, sender) => setActiveJob(sender.tab.id, message.jobId),
+    GET_JOB_RECORD: async (message) => ({ record: await jobStatsHistory.getJob(message.jobId) }),
+    GET_JOB_RECORDS: async (message) => ({ records: await jobStatsHistory.getJobs(message.jobIds || []) }),
+    GET_ALL_JOB_RECORDS: async () => ({ records: await jobStatsHistory.getAllJobs() }),
+    IMPORT_JOB_RECORDS: (message) => jobStatsHistory.importRecords(message.records || []),
+    GET_TAB_STATS: async (message) => ({ stats: (await getTabState(message.tabId)).stats }),
+    GET_PANEL_DISMISSED: async () => ({ dismissed: await PanelState.isDismissed() }),
+    SET_PANEL_DISMISSED: (message) => PanelState.storeDismissed(message.dismissed),
+    FLASH_BADGE: async (message, sender) => {
+        if (sender.tab) await ToolbarBadge.flash(sender.tab.id, message.text, message.failed);
+        return { shown: !!sender.tab };
+    },
+    SET_JOB_APPLICATION: (message) => setJobApplication(message),
+    APPLICATION_SUBMITTED: (message) => recordApplicationSubmitted(message),
+    WATCH_JOB: (message) => watchJob(message.jobId),
+    UNWATCH_JOB: (message) => unwatchJob(message.jobId),
+    GET_WATCHLIST: async () => ({ entries: await watchlist.getAll() }),
+    REFRESH_WATCHLIST: () => refreshWatchlist(),
+    GET_ALERT_RULES: async () => ({ rules: await jobAlerts.getRules() }),
+    ADD_ALERT_RULE: async (message) => ({ rule: await jobAlerts.addRule(message.rule) }),
+    REMOVE_ALERT_RULE: async (message) => {
+        await jobAlerts.removeRule(message.id);
+        return { removed: true };
+    }
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (!message || !Object.hasOwn(messageHandlers, message.type)) return false;
+
+    messageHandlers[message.type](message, sender)
+        .then(sendResponse)
+        .catch(error => {
+            console.warn(`Failed to handle ${message.type}:`, error);
+            sendResponse({ error: error.message });
+        });
+    return true; // Keep the channel open for the async response
+});
+
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    clearTabState(tabId).catch(console.error);
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.url && !changeInfo.url.startsWith('https://www.linkedin.com/jobs')) {
+        clearTabState(tabId).catch(console.error);
+        ToolbarBadge.clear(tabId);
+    }
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+    const jobId = JobAlerts.getNotificationJobId(notificationId);
+    if (!jobId) return;
+
+    chrome.tabs.create({ url: `https://www.linkedin.com/jobs/view/${jobId}/` });
+    chrome.notifications.clear(notificationId);
+});
+
+// Keyboard shortcuts act on the panel in the tab they were pressed in (see panel-commands.js)
+async function runPanelCommand(command, tab) {
+    try {
+        await chrome.tabs.sendMessage(tab.id, { type: 'PANEL_COMMAND', command: command });
+    } catch (error) {
+        // Not a LinkedIn jobs tab; the panel can still be shown or hidden for every tab
+        if (command === 'toggle-panel') {
+            await PanelState.toggleDismissed();
+        }
+    }
+}
+
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (!tab) return;
+    runPanelCommand(command, tab).catch(console.error);
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === JobWatchlist.ALARM_NAME) {
+        refreshWatchlist().catch(console.error);
+    }
+});
+
+JobWatchlist.ensureAlarm().catch(console.error);
+JobStatsSettings.migrate().catch(console.error);
+// Badge colors and the cache lifetime follow changes made on the options page
+JobStatsSettings.watch((settings) => {
+    statsCache.ttl = settings.cacheTtlMinutes * 60 * 1000;
+    refreshBadges().catch(console.error);
+});
@@ -2,16 +2,28 @@
 (function() {
     'use strict';
     
-    console.log('🔧 Content Injector: Loading interceptor script...');
+    // The interceptor runs in the page and cannot read extension storage, so the
+    // logging setting is handed over on the root element
+    JobStatsSettings.watch(settings => {
+        document.documentElement.dataset.jobStatsLogging = String(settings.logging);
+    });
     
-    const script = document.createElement('script');
-    script.src = chrome.runtime.getURL('linkedin-interceptor.js');
-    script.onload = function() {
-        console.log('✅ Interceptor script loaded successfully');
-    };
-    script.onerror = function() {
-        console.error('❌ Failed to load interceptor script');
-    };
+    JobStatsSettings.log('🔧 Content Injector: Loading interceptor script...');
     
-    (document.head || document.documentElement).appendChild(script);
+    // Page scripts the interceptor depends on are injected first, in order
+    const scripts = ['job-posting.js', 'job-endpoints.js', 'easy-apply.js', 'linkedin-interceptor.js'];
+    
+    scripts.forEach(file => {
+        const script = document.createElement('script');
+        script.src = chrome.runtime.getURL(file);
+        script.async = false;
+        script.onload = function() {
+            JobStatsSettings.log(`✅ ${file} loaded successfully`);
+        };
+        script.onerror = function() {
+            console.error(`❌ Failed to load ${file}`);
+        };
+        
+        (document.head || document.documentElement).appendChild(script);
+    });
 })();
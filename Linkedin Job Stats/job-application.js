@@ -0,0 +1,123 @@
+// Where the user is with a job (saved, applied, interviewing...), kept on its history record
+(function(global) {
+    'use strict';
+
+    // Pipeline order
+    const STATUSES = [
+        { value: 'saved', label: 'Saved' },
+        { value: 'applied', label: 'Applied' },
+        { value: 'interviewing', label: 'Interviewing' },
+        { value: 'offer', label: 'Offer' },
+        { value: 'rejected', label: 'Rejected' }
+    ];
+    const MAX_NOTE_LENGTH = 2000;
+
+    function isCount(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+
+    function isStatus(value) {
+        return STATUSES.some(status => status.value === value);
+    }
+
+    function getStatusLabel(value) {
+        const status = STATUSES.find(item => item.value === value);
+        return status ? status.label : 'Not tracked';
+    }
+
+    // Check an update from the panel: { status, note } where a missing field is left
+    // as it was and an empty status stops tracking the job
+    function normalizeUpdate(update) {
+        const normalized = {};
+        if (update.status !== undefined) {
+            if (update.status && !isStatus(update.status)) {
+                throw new Error(`Unknown application status: ${update.status}`);
+            }
+            normalized.status = update.status || null;
+        }
+        if (update.note !== undefined && update.note !== null) {
+            normalized.note = String(update.note).slice(0, MAX_NOTE_LENGTH);
+        }
+        return normalized;
+    }
+
+    // Apply a normalized update to a job record. Each status change is logged with the
+    // job's latest counts, so record.application looks like
+    // { status, note, updatedAt, events: [{ status, timestamp, views, applies }] }.
+    // Returns false when nothing changed.
+    function applyUpdate(record, update, now = Date.now()) {
+        const previous = record.application || { status: null, note: '', updatedAt: null, events: [] };
+        const status = 'status' in update ? update.status : previous.status;
+        const note = 'note' in update ? update.note : previous.note;
+        if (status === previous.status && note === previous.note) return false;
+
+        const application = { status, note, updatedAt: now, events: previous.events.slice() };
+        if (status && status !== previous.status) {
+            const latest = record.observations[record.observations.length - 1] || null;
+            application.events.push({
+                status,
+                timestamp: now,
+                views: latest ? latest.views : null,
+                applies: latest ? latest.applies : null
+            });
+        }
+
+        record.application = application;
+        return true;
+    }
+
+    // A submitted application seen on the page: logs an 'applied' event with the counts
+    // captured just before, falling back to the saved history. A job already logged as
+    // applied is left alone, so the request and the confirmation dialog can both report it.
+    function recordSubmission(record, snapshot, source, now = Date.now()) {
+        const previous = record.application || { status: null, note: '', updatedAt: null, events: [] };
+        if (previous.events.some(event => event.status === 'applied')) return false;
+
+        const latest = record.observations[record.observations.length - 1] || null;
+        const counts = snapshot && (isCount(snapshot.applies) || isCount(snapshot.views)) ? snapshot : latest;
+        const event = {
+            status: 'applied',
+            timestamp: now,
+            views: counts && isCount(counts.views) ? counts.views : null,
+            applies: counts && isCount(counts.applies) ? counts.applies : null,
+            source
+        };
+
+        record.application = {
+            // A job already further along keeps its status
+            status: !previous.status || previous.status === 'saved' ? 'applied' : previous.status,
+            note: previous.note,
+            updatedAt: now,
+            events: previous.events.concat(event)
+        };
+        return true;
+    }
+
+    // The counts when the user first marked the job applied, or null
+    function getAppliedSnapshot(application) {
+        return application ? application.events.find(event => event.status === 'applied') || null : null;
+    }
+
+    // Tracked records in pipeline order: [{ status, label, records }], newest update first
+    function groupByStatus(records) {
+        return STATUSES.map(status => ({
+            status: status.value,
+            label: status.label,
+            records: records
+                .filter(record => record.application && record.application.status === status.value)
+                .sort((a, b) => b.application.updatedAt - a.application.updatedAt)
+        }));
+    }
+
+    global.JobApplication = {
+        STATUSES,
+        MAX_NOTE_LENGTH,
+        isStatus,
+        getStatusLabel,
+        normalizeUpdate,
+        applyUpdate,
+        recordSubmission,
+        getAppliedSnapshot,
+        groupByStatus
+    };
+})(self);
@@ -1,52 +1,72 @@
 (function() {
     'use strict';
     
-    console.log('🌐 LinkedIn Job Stats: Voyager API interceptor loaded');
+    // Progress messages, shown when console logging is on in the extension options;
+    // the content injector mirrors that setting onto the page (see content-injector.js)
+    function log(...args) {
+        if (document.documentElement.dataset.jobStatsLogging === 'true') {
+            console.log(...args);
+        }
+    }
     
-    // Function to check if URL is a job posting endpoint
-    function isJobPostingEndpoint(url) {
-        return url && url.includes('voyager/api/jobs/jobPostings/');
+    log('🌐 LinkedIn Job Stats: Voyager API interceptor loaded');
+    
+    // Function to check if URL is a known job stats endpoint (see job-endpoints.js)
+    function isJobStatsEndpoint(url) {
+        return !!window.JobEndpoints && window.JobEndpoints.matches(url);
     }
     
-    // Function to extract job ID from URL
-    function extractJobId(url) {
-        const match = url.match(/jobPostings\/(\d+)\?/);
-        return match ? match[1] : null;
+    // Process API data; list and GraphQL responses can carry stats for many jobs
+    function processApiData(url, data) {
+        const found = window.JobEndpoints.extract(url, data);
+        if (found.length === 0) {
+            log('⚠️ API response missing applies or views:', url);
+            return;
+        }
+        
+        found.forEach(({ jobId, applies, views, details }) => {
+            log(`📦 Found job stats - Job ID: ${jobId}, Applies: ${applies}, Views: ${views}`);
+            
+            const eventData = {
+                type: 'LINKEDIN_JOB_API_DATA',
+                jobId: jobId,
+                applies: applies,
+                views: views,
+                details: details,
+                timestamp: Date.now()
+            };
+            
+            // Send via postMessage
+            window.postMessage(eventData, '*');
+            
+            // Store in global array
+            window.linkedInJobStats = window.linkedInJobStats || [];
+            window.linkedInJobStats.push(eventData);
+            
+            // Dispatch custom event
+            const customEvent = new CustomEvent('LinkedInJobStatsData', {
+                detail: eventData
+            });
+            document.dispatchEvent(customEvent);
+        });
     }
     
-    // Process API data
-    function processApiData(jobId, data) {
-        if (data && data.data) {
-            const { applies, views } = data.data;
-            if (applies !== undefined || views !== undefined) {
-                console.log(`📦 Found job stats - Job ID: ${jobId}, Applies: ${applies}, Views: ${views}`);
-                
-                const eventData = {
-                    type: 'LINKEDIN_JOB_API_DATA',
-                    jobId: jobId,
-                    applies: applies,
-                    views: views,
-                    timestamp: Date.now()
-                };
-                
-                // Send via postMessage
-                window.postMessage(eventData, '*');
-                
-                // Store in global array
-                window.linkedInJobStats = window.linkedInJobStats || [];
-                window.linkedInJobStats.push(eventData);
-                
-                // Dispatch custom event
-                const customEvent = new CustomEvent('LinkedInJobStatsData', {
-                    detail: eventData
-                });
-                document.dispatchEvent(customEvent);
-            } else {
-                console.log('⚠️ API response missing applies or views for job:', jobId);
+    // An Easy Apply submit went through; the content script snapshots the job's counts
+    function reportApplicationSubmitted(url, body) {
+        const jobId = window.EasyApply.getJobId(url, body);
+        log('📨 Easy Apply application submitted, Job ID:', jobId);
+        
+        document.dispatchEvent(new CustomEvent('LinkedInJobStatsData', {
+            detail: {
+                type: 'LINKEDIN_EASY_APPLY_SUBMITTED',
+                jobId: jobId,
+                timestamp: Date.now()
             }
-        } else {
-            console.log('⚠️ Invalid API response structure');
-        }
+        }));
+    }
+    
+    function isApplicationSubmit(url, method) {
+        return !!window.EasyApply && window.EasyApply.isSubmitRequest(url, method);
     }
     
     // Intercept XMLHttpRequest
@@ -55,17 +75,25 @@
         const originalSend = XMLHttpRequest.prototype.send;
         
         XMLHttpRequest.prototype.open = function(method, url) {
+            this._method = method;
             this._url = url;
             return originalOpen.apply(this, arguments);
         };
         
-        XMLHttpRequest.prototype.send = function() {
-            if (isJobPostingEndpoint(this._url)) {
-                console.log('🎯 Intercepted XHR job posting:', this._url);
+        XMLHttpRequest.prototype.send = function(body) {
+            if (isApplicationSubmit(this._url, this._method)) {
+                this.addEventListener('load', () => {
+                    if (this.status >= 200 && this.status < 300) {
+                        reportApplicationSubmitted(this._url, body);
+                    }
+                });
+            }
+            
+            if (isJobStatsEndpoint(this._url)) {
+                log('🎯 Intercepted XHR job posting:', this._url);
                 
                 this.addEventListener('load', async () => {
                     try {
-                        const jobId = extractJobId(this._url);
                         let responseText;
                         
                         if (this.responseType === 'blob' && this.response instanceof Blob) {
@@ -74,12 +102,12 @@
                         } else if (this.responseType === '' || this.responseType === 'text') {
                             responseText = this.responseText;
                         } else {
-                            console.log('⚠️ Unsupported responseType:', this.responseType);
+                            log('⚠️ Unsupported responseType:', this.responseType);
                             return;
                         }
                         
                         const jsonData = JSON.parse(responseText);
-                        processApiData(jobId, jsonData);
+                        processApiData(this._url, jsonData);
                     } catch (e) {
                         console.error('Error parsing XHR response:', e);
                     }
@@ -94,16 +122,26 @@
         const originalFetch = window.fetch;
         window.fetch = function(...args) {
             const url = typeof args[0] === 'string' ? args[0] : args[0]?.url;
+            const method = args[1]?.method || args[0]?.method || 'GET';
+            
+            if (isApplicationSubmit(url, method)) {
+                const body = args[1]?.body;
+                return originalFetch.apply(this, args).then(response => {
+                    if (response.ok) {
+                        reportApplicationSubmitted(url, typeof body === 'string' ? body : '');
+                    }
+                    return response;
+                });
+            }
             
-            if (isJobPostingEndpoint(url)) {
-                console.log('🎯 Intercepted fetch job posting:', url);
+            if (isJobStatsEndpoint(url)) {
+                log('🎯 Intercepted fetch job posting:', url);
                 
                 return originalFetch.apply(this, args).then(async response => {
                     try {
                         const clonedResponse = response.clone();
                         const jsonData = await clonedResponse.json();
-                        const jobId = extractJobId(url);
-                        processApiData(jobId, jsonData);
+                        processApiData(url, jsonData);
                     } catch (e) {
                         console.error('Error parsing fetch response:', e);
                     }
@@ -131,5 +169,5 @@
         return jobStats.length > 0 ? jobStats[jobStats.length - 1] : null;
     };
     
-    console.log('✅ Voyager API interceptor setup complete');
+    log('✅ Voyager API interceptor setup complete');
 })();
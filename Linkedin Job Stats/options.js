@@ -0,0 +1,180 @@
+// Options page: edits the settings in settings.js, saving each change as it is made
+document.addEventListener('DOMContentLoaded', function() {
+    const form = document.getElementById('settings-form');
+    const statsEl = document.getElementById('shownStats');
+    const statusEl = document.getElementById('status');
+    const resetBtn = document.getElementById('reset');
+    const fields = JobStatsSettings.FIELDS;
+    
+    // The update delay only exists in the debugger build
+    const isCdpBuild = (chrome.runtime.getManifest().permissions || []).includes('debugger');
+    document.querySelectorAll('[data-cdp-only]').forEach(element => {
+        element.hidden = !isCdpBuild;
+    });
+    
+    // Lists the standard build manages in its popup
+    const hasPopup = !!(chrome.runtime.getManifest().action || {}).default_popup;
+    document.querySelectorAll('[data-without-popup]').forEach(element => {
+        element.hidden = hasPopup;
+    });
+    
+    statsEl.innerHTML = JobStatsSettings.STATS.map(stat => `
+        <label><input type="checkbox" name="shownStats" value="${stat.value}"> ${stat.label}</label>
+    `).join('');
+    
+    Object.keys(fields).forEach(name => {
+        const input = form.elements[name];
+        if (fields[name].type === 'integer' && input) {
+            input.min = fields[name].min;
+            input.max = fields[name].max;
+        }
+    });
+    
+    function showStatus(text, isError = false) {
+        statusEl.textContent = text;
+        statusEl.className = isError ? 'error' : '';
+    }
+    
+    function fill(settings) {
+        Object.keys(fields).forEach(name => {
+            if (name === 'shownStats') {
+                form.querySelectorAll('input[name="shownStats"]').forEach(box => {
+                    box.checked = settings.shownStats.includes(box.value);
+                });
+            } else if (fields[name].type === 'boolean') {
+                form.elements[name].checked = settings[name];
+            } else {
+                form.elements[name].value = settings[name];
+            }
+        });
+    }
+    
+    function readField(name) {
+        if (name === 'shownStats') {
+            return Array.from(form.querySelectorAll('input[name="shownStats"]:checked'), box => box.value);
+        }
+        const input = form.elements[name];
+        return fields[name].type === 'boolean' ? input.checked : input.value;
+    }
+    
+    form.addEventListener('change', function(event) {
+        const name = event.target.name;
+        if (!fields[name]) return;
+        
+        JobStatsSettings.update({ [name]: readField(name) }).then(() => {
+            // An explicit corner or distance wins over wherever the panel was dragged
+            if (['panelCorner', 'panelOffsetX', 'panelOffsetY'].includes(name)) {
+                return PanelState.clearPositions();
+            }
+        }).then(() => {
+            showStatus('Saved.');
+        }).catch(error => {
+            showStatus(error.message, true);
+        });
+    });
+    
+    resetBtn.addEventListener('click', function() {
+        Promise.all([JobStatsSettings.reset(), PanelState.clearPositions()]).then(([settings]) => {
+            fill(settings);
+            showStatus('Defaults restored.');
+        }).catch(error => {
+            showStatus(error.message, true);
+        });
+    });
+    
+    // Also picks up changes saved from another window or synced from another computer
+    JobStatsSettings.watch(fill);
+    
+    function sendToBackground(message) {
+        return chrome.runtime.sendMessage(message).then(response => {
+            if (!response || response.error) throw new Error(response ? response.error : 'No response');
+            return response;
+        });
+    }
+    
+    // Import of a file exported on another machine, merged into the background worker's history
+    const importInput = document.getElementById('import-input');
+    const importReport = document.getElementById('import-report');
+    
+    function showImportReport(summary, rejected) {
+        importReport.className = 'import-report';
+        importReport.textContent = summary;
+        
+        if (rejected.length > 0) {
+            const list = document.createElement('ul');
+            rejected.forEach(item => {
+                const entry = document.createElement('li');
+                entry.textContent = `${item.row}: ${item.reason}`;
+                list.appendChild(entry);
+            });
+            importReport.appendChild(list);
+        }
+    }
+    
+    function showImportError(error) {
+        importReport.className = 'import-report error';
+        importReport.textContent = `Import failed: ${error.message}`;
+    }
+    
+    document.getElementById('import-file').addEventListener('click', function() {
+        importInput.click();
+    });
+    
+    importInput.addEventListener('change', function() {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (!file) return;
+        
+        file.text().then(text => {
+            const parsed = JobStatsIO.parseFile(file.name, text);
+            return sendToBackground({ type: 'IMPORT_JOB_RECORDS', records: parsed.records }).then(result => {
+                const rejectedText = parsed.rejected.length > 0 ? `, ${parsed.rejected.length} rows rejected` : '';
+                showImportReport(
+                    `Imported ${result.added} observations into ${result.jobs} jobs (${result.duplicates} duplicates skipped${rejectedText}).`,
+                    parsed.rejected
+                );
+            });
+        }).catch(showImportError);
+    });
+    
+    if (hasPopup) return;
+    
+    // Application pipeline, grouped by the status set in the on-page panel
+    const pipelineEl = document.getElementById('pipeline');
+    const pipelineStatus = document.getElementById('pipeline-status');
+    
+    sendToBackground({ type: 'GET_ALL_JOB_RECORDS' }).then(response => {
+        pipelineStatus.hidden = PipelineView.render(pipelineEl, response.records, 2) > 0;
+    }).catch(error => {
+        pipelineStatus.textContent = `Could not load tracked jobs: ${error.message}`;
+    });
+    
+    // Watched jobs, refreshed on a schedule by the background worker
+    WatchlistView.attach({
+        list: document.getElementById('watchlist'),
+        status: document.getElementById('watchlist-status'),
+        refreshButton: document.getElementById('watchlist-refresh'),
+        send: sendToBackground
+    });
+    
+    // Alert rules the background worker checks against every new observation
+    const alertValue = document.getElementById('alert-value');
+    const alertJob = document.getElementById('alert-job');
+    
+    AlertRulesView.attach({
+        list: document.getElementById('alert-rules'),
+        status: document.getElementById('alert-status'),
+        addButton: document.getElementById('alert-add'),
+        readRule: () => ({
+            metric: document.getElementById('alert-metric').value,
+            type: document.getElementById('alert-type').value,
+            value: alertValue.value,
+            jobId: alertJob.value.trim() || null
+        }),
+        onAdded: () => {
+            alertValue.value = '';
+            alertJob.value = '';
+        },
+        send: sendToBackground
+    });
+});
@@ -1,26 +1,38 @@
 // Popup script to display current job stats
 document.addEventListener('DOMContentLoaded', function() {
-    console.log('📊 LinkedIn Job Stats popup loaded');
-    
     const statusEl = document.getElementById('status');
     const statsContainer = document.getElementById('stats-container');
     const viewsCount = document.getElementById('views-count');
     const appliesCount = document.getElementById('applies-count');
     const jobIdEl = document.getElementById('job-id');
     
+    let activeTabId = null;
+    let currentJobId = null;
+    
+    function sendToBackground(message) {
+        return chrome.runtime.sendMessage(message).then(response => {
+            if (!response || response.error) throw new Error(response ? response.error : 'No response');
+            return response;
+        });
+    }
+    
     // Query current tab for job stats
     chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
         if (tabs[0] && tabs[0].url && tabs[0].url.includes('linkedin.com/jobs')) {
+            activeTabId = tabs[0].id;
             statusEl.textContent = 'LinkedIn Jobs Page Detected';
             statusEl.className = 'status active';
             
-            // Try to get stats from storage
-            chrome.storage.local.get(['currentJobStats'], function(result) {
-                if (result.currentJobStats) {
-                    displayStats(result.currentJobStats);
+            // Stats are kept per tab by the background worker
+            sendToBackground({ type: 'GET_TAB_STATS', tabId: activeTabId }).then(response => {
+                if (response.stats) {
+                    displayStats(response.stats);
                 } else {
                     statusEl.textContent = 'Waiting for Job Stats...';
                 }
+            }).catch(error => {
+                console.log('Could not load tab stats:', error);
+                statusEl.textContent = 'Waiting for Job Stats...';
             });
         } else {
             statusEl.textContent = 'Navigate to LinkedIn Jobs';
@@ -29,27 +41,133 @@ document.addEventListener('DOMContentLoaded', function() {
     });
     
     function displayStats(stats) {
+        currentJobId = stats.jobId ? String(stats.jobId) : null;
+        alertScope.querySelector('option[value="current"]').disabled = !currentJobId;
+        
         statusEl.textContent = 'Job Stats Found!';
         statusEl.className = 'status active';
         
-        viewsCount.textContent = stats.views !== undefined ? stats.views.toLocaleString() : 'N/A';
-        appliesCount.textContent = stats.applies !== undefined ? stats.applies.toLocaleString() : 'N/A';
+        viewsCount.textContent = typeof stats.views === 'number' ? stats.views.toLocaleString() : 'N/A';
+        appliesCount.textContent = typeof stats.applies === 'number' ? stats.applies.toLocaleString() : 'N/A';
         jobIdEl.textContent = stats.jobId || 'Unknown';
         
         statsContainer.className = 'stats-container visible';
     }
     
-    // Listen for storage changes
+    // Watched jobs, refreshed on a schedule by the background worker
+    WatchlistView.attach({
+        list: document.getElementById('watchlist'),
+        status: document.getElementById('watchlist-status'),
+        refreshButton: document.getElementById('watchlist-refresh'),
+        send: sendToBackground
+    });
+    
+    // Alert rules the background worker checks against every new observation
+    const alertValue = document.getElementById('alert-value');
+    const alertScope = document.getElementById('alert-scope');
+    
+    AlertRulesView.attach({
+        list: document.getElementById('alert-rules'),
+        status: document.getElementById('alert-status'),
+        addButton: document.getElementById('alert-add'),
+        readRule: () => ({
+            metric: document.getElementById('alert-metric').value,
+            type: document.getElementById('alert-type').value,
+            value: alertValue.value,
+            jobId: alertScope.value === 'current' ? currentJobId : null
+        }),
+        onAdded: () => {
+            alertValue.value = '';
+        },
+        send: sendToBackground
+    });
+    
+    // A panel dismissed with × stays hidden in every tab until shown again here
+    const panelStatus = document.getElementById('panel-status');
+    const showPanelBtn = document.getElementById('show-panel');
+    
+    function displayPanelState(state) {
+        showPanelBtn.disabled = !state.dismissed;
+        panelStatus.textContent = state.dismissed
+            ? 'Hidden for this browser session.'
+            : 'Shown on LinkedIn jobs pages. Use × on the panel to hide it until the browser restarts.';
+    }
+    
+    PanelState.load().then(displayPanelState).catch(error => {
+        console.log('Could not load the panel state:', error);
+    });
+    PanelState.watch(function(changes) {
+        if ('dismissed' in changes) displayPanelState(changes);
+    });
+    
+    showPanelBtn.addEventListener('click', function() {
+        PanelState.setDismissed(false).catch(error => {
+            panelStatus.textContent = error.message;
+        });
+    });
+    
+    // Badge thresholds, the panel and logging are set on the options page
+    document.getElementById('open-options').addEventListener('click', function() {
+        chrome.runtime.openOptionsPage();
+    });
+    
+    // The file chooser would close the popup, so importing lives on the options page
+    document.getElementById('open-import').addEventListener('click', function() {
+        chrome.runtime.openOptionsPage();
+    });
+    
+    // Export of the history kept by the background worker
+    const exportStatus = document.getElementById('export-status');
+    const exportCsvBtn = document.getElementById('export-csv');
+    const exportJsonBtn = document.getElementById('export-json');
+    let exportRecords = [];
+    
+    // Application pipeline, grouped by the status set in the on-page panel
+    const pipelineEl = document.getElementById('pipeline');
+    const pipelineStatus = document.getElementById('pipeline-status');
+    
+    function loadRecords() {
+        return sendToBackground({ type: 'GET_ALL_JOB_RECORDS' }).then(response => {
+            exportRecords = response.records;
+            pipelineStatus.hidden = PipelineView.render(pipelineEl, exportRecords) > 0;
+            const observations = exportRecords.reduce((total, record) => total + record.observations.length, 0);
+            exportStatus.textContent = `${exportRecords.length} jobs, ${observations} observations captured.`;
+            exportCsvBtn.disabled = exportRecords.length === 0;
+            exportJsonBtn.disabled = exportRecords.length === 0;
+        }).catch(error => {
+            console.log('Could not load job stats history:', error);
+        });
+    }
+    
+    loadRecords();
+    
+    function downloadFile(content, type, extension) {
+        const url = URL.createObjectURL(new Blob([content], { type: type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = JobStatsIO.getFileName(extension);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    exportCsvBtn.addEventListener('click', function() {
+        downloadFile(JobStatsIO.toCsv(exportRecords), 'text/csv', 'csv');
+    });
+    
+    exportJsonBtn.addEventListener('click', function() {
+        downloadFile(JobStatsIO.toJson(exportRecords), 'application/json', 'json');
+    });
+    
+    // Listen for this tab's stats changing
     chrome.storage.onChanged.addListener(function(changes, namespace) {
-        if (changes.currentJobStats) {
-            displayStats(changes.currentJobStats.newValue);
+        if (namespace === 'session' && changes.tabState && activeTabId !== null) {
+            const state = (changes.tabState.newValue || {})[activeTabId];
+            if (state && state.stats) {
+                displayStats(state.stats);
+                loadRecords();
+            }
         }
     });
 });
-
-// Handle messages from content script
-chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
-    if (request.type === 'UPDATE_POPUP_STATS') {
-        displayStats(request.data);
-    }
-});
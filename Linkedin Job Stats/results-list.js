@@ -0,0 +1,334 @@
+// Stats badges on the job cards in search results, and sorting/filtering of that list
+(function(global) {
+    'use strict';
+
+    const SCAN_DELAY = 300;
+
+    function getLatest(record) {
+        return record && record.observations.length > 0
+            ? record.observations[record.observations.length - 1]
+            : null;
+    }
+
+    // Inline stats badges on the job cards in the search results list
+    const CardBadges = {
+        BADGE_CLASS: 'linkedin-job-stats-card-badge',
+        STYLE_ID: 'linkedin-job-stats-card-badge-styles',
+        scanTimer: null,
+        records: {},
+
+        // Each result card carries its job ID on the list item or the card container
+        findCards() {
+            const cards = new Map();
+            document.querySelectorAll('[data-occludable-job-id], .job-card-container[data-job-id]').forEach(element => {
+                const card = element.closest('[data-occludable-job-id]') || element;
+                const jobId = card.getAttribute('data-occludable-job-id') || card.getAttribute('data-job-id');
+                if (jobId && /^\d+$/.test(jobId) && !cards.has(jobId)) {
+                    cards.set(jobId, card);
+                }
+            });
+            return cards;
+        },
+
+        render(card, record) {
+            const latest = getLatest(record);
+
+            let text = 'Not yet seen';
+            if (latest) {
+                const applies = latest.applies !== null ? latest.applies.toLocaleString() : 'N/A';
+                const views = latest.views !== null ? latest.views.toLocaleString() : 'N/A';
+                text = `${applies} applicants · ${views} views`;
+            }
+
+            let badge = card.querySelector(`.${this.BADGE_CLASS}`);
+            if (!badge) {
+                badge = document.createElement('div');
+                badge.className = this.BADGE_CLASS;
+                (card.querySelector('.job-card-container') || card).appendChild(badge);
+            }
+
+            // Only touch the DOM when something changed to avoid re-triggering the observer
+            if (badge.textContent !== text) {
+                badge.textContent = text;
+                badge.classList.toggle('unseen', !latest);
+            }
+        },
+
+        async scan() {
+            if (!JobPage.isResultsPage()) {
+                ResultsControls.setVisible(false);
+                return;
+            }
+
+            const cards = this.findCards();
+            if (cards.size === 0) return;
+
+            this.injectStyles();
+            try {
+                const response = await chrome.runtime.sendMessage({
+                    type: 'GET_JOB_RECORDS',
+                    jobIds: Array.from(cards.keys())
+                });
+                Object.assign(this.records, response && response.records);
+            } catch (error) {
+                console.log('Could not read job stats history for cards:', error);
+            }
+            cards.forEach((card, jobId) => this.render(card, this.records[jobId] || null));
+            ResultsControls.apply(cards, this.records);
+        },
+
+        scheduleScan() {
+            clearTimeout(this.scanTimer);
+            this.scanTimer = setTimeout(() => this.scan(), SCAN_DELAY);
+        },
+
+        // Refresh a single card as soon as new stats for it arrive
+        update(record) {
+            if (!record || !JobPage.isResultsPage()) return;
+            this.records[record.jobId] = record;
+
+            const cards = this.findCards();
+            const card = cards.get(record.jobId);
+            if (card) {
+                this.injectStyles();
+                this.render(card, record);
+                ResultsControls.apply(cards, this.records);
+            }
+        },
+
+        isOwnMutation(mutation) {
+            const isBadge = node => node.nodeType === Node.ELEMENT_NODE
+                ? node.classList.contains(this.BADGE_CLASS)
+                : node.parentElement && node.parentElement.classList.contains(this.BADGE_CLASS);
+            const target = mutation.target;
+            if (target.nodeType === Node.ELEMENT_NODE && target.classList.contains(this.BADGE_CLASS)) {
+                return true;
+            }
+            return mutation.addedNodes.length > 0 && Array.from(mutation.addedNodes).every(isBadge);
+        },
+
+        observe() {
+            const observer = new MutationObserver(mutations => {
+                if (mutations.every(mutation => this.isOwnMutation(mutation))) return;
+                this.scheduleScan();
+            });
+
+            observer.observe(document.body, {
+                childList: true,
+                subtree: true
+            });
+            this.scan();
+        },
+
+        injectStyles() {
+            if (document.getElementById(this.STYLE_ID)) return;
+
+            const style = document.createElement('style');
+            style.id = this.STYLE_ID;
+            style.textContent = `
+                .${this.BADGE_CLASS} {
+                    display: inline-block;
+                    margin: 4px 0 0 0;
+                    padding: 2px 8px;
+                    border-radius: 10px;
+                    background: rgba(10, 102, 194, 0.1);
+                    color: #0a66c2;
+                    font-size: 12px;
+                    font-weight: 600;
+                    line-height: 16px;
+                }
+
+                .${this.BADGE_CLASS}.unseen {
+                    background: rgba(0, 0, 0, 0.05);
+                    color: #757575;
+                    font-weight: 500;
+                    font-style: italic;
+                }
+
+                .${ResultsControls.HIDDEN_CLASS} {
+                    display: none !important;
+                }
+            `;
+
+            document.head.appendChild(style);
+        }
+    };
+
+    // Applicants per view, or null without both counts
+    function getRatio(latest) {
+        return latest && latest.views && latest.applies !== null ? latest.applies / latest.views : null;
+    }
+
+    // Sort and filter the search results list by captured stats
+    const ResultsControls = {
+        STORAGE_KEY: 'resultsControls',
+        HIDDEN_CLASS: 'linkedin-job-stats-hidden',
+        ORDER_ATTRIBUTE: 'data-linkedin-job-stats-order',
+        // Each "hide over" threshold: its input and how a typed value is read.
+        // The ratio is typed as a percentage and kept as a fraction.
+        FILTERS: {
+            maxApplies: { selector: '.results-max-applies', parse: value => parseInt(value, 10), scale: 1 },
+            maxViews: { selector: '.results-max-views', parse: value => parseInt(value, 10), scale: 1 },
+            maxRatio: { selector: '.results-max-ratio', parse: value => parseFloat(value), scale: 100 }
+        },
+        options: { sortBy: '', maxApplies: null, maxViews: null, maxRatio: null },
+        nextOrder: 0,
+
+        load() {
+            chrome.storage.local.get([this.STORAGE_KEY], result => {
+                Object.assign(this.options, result[this.STORAGE_KEY]);
+                this.syncInputs();
+                CardBadges.scheduleScan();
+            });
+        },
+
+        save() {
+            chrome.storage.local.set({ [this.STORAGE_KEY]: this.options });
+        },
+
+        getContainer() {
+            const popup = JobStatsPanel.getPopup();
+            return popup ? popup.querySelector('.results-controls') : null;
+        },
+
+        // Add the controls to the floating panel, above the footer
+        render(popup) {
+            if (popup.querySelector('.results-controls')) return;
+
+            const container = document.createElement('div');
+            container.className = 'results-controls';
+            container.style.display = JobPage.isResultsPage() ? '' : 'none';
+            container.innerHTML = `
+                <label>Sort
+                    <select class="results-sort">
+                        <option value="">LinkedIn order</option>
+                        <option value="applies">Fewest applicants</option>
+                        <option value="views">Fewest views</option>
+                        <option value="ratio">Lowest applies/views</option>
+                    </select>
+                </label>
+                <label>Hide over
+                    <input class="results-max-applies" type="number" min="0" step="1" placeholder="any">
+                    applicants
+                </label>
+                <label>Hide over
+                    <input class="results-max-views" type="number" min="0" step="1" placeholder="any">
+                    views
+                </label>
+                <label>Hide over
+                    <input class="results-max-ratio" type="number" min="0" step="0.1" placeholder="any">
+                    % applies/views
+                </label>
+            `;
+            popup.insertBefore(container, popup.querySelector('.footer'));
+
+            container.querySelector('.results-sort').addEventListener('change', (e) => {
+                this.options.sortBy = e.target.value;
+                this.save();
+                CardBadges.scan();
+            });
+
+            Object.keys(this.FILTERS).forEach(key => {
+                const filter = this.FILTERS[key];
+                container.querySelector(filter.selector).addEventListener('input', (e) => {
+                    const value = filter.parse(e.target.value);
+                    this.options[key] = isNaN(value) || value < 0 ? null : value / filter.scale;
+                    this.save();
+                    CardBadges.scan();
+                });
+            });
+
+            this.syncInputs();
+        },
+
+        syncInputs() {
+            const container = this.getContainer();
+            if (!container) return;
+
+            container.querySelector('.results-sort').value = this.options.sortBy || '';
+            Object.keys(this.FILTERS).forEach(key => {
+                const filter = this.FILTERS[key];
+                const value = this.options[key];
+                // Rounded so a stored fraction does not show as 2.5000000000000004 %
+                container.querySelector(filter.selector).value = value !== null && value !== undefined
+                    ? Math.round(value * filter.scale * 1000) / 1000 : '';
+            });
+        },
+
+        setVisible(visible) {
+            const container = this.getContainer();
+            if (container) container.style.display = visible ? '' : 'none';
+        },
+
+        getSortValue(record) {
+            const latest = getLatest(record);
+            if (!latest) return null;
+
+            if (this.options.sortBy === 'ratio') {
+                return getRatio(latest);
+            }
+            return latest[this.options.sortBy];
+        },
+
+        // A card is hidden once any of its known values goes over its threshold; unknown values never hide it
+        isHidden(record) {
+            const latest = getLatest(record);
+            if (!latest) return false;
+
+            const values = { maxApplies: latest.applies, maxViews: latest.views, maxRatio: getRatio(latest) };
+            return Object.keys(values).some(key => {
+                const max = this.options[key];
+                return max !== null && max !== undefined && values[key] !== null && values[key] > max;
+            });
+        },
+
+        getOrder(card) {
+            return parseInt(card.getAttribute(this.ORDER_ATTRIBUTE), 10);
+        },
+
+        apply(cards, records) {
+            this.setVisible(true);
+
+            const groups = new Map();
+
+            cards.forEach((card, jobId) => {
+                // Remember LinkedIn's own order the first time a card shows up
+                if (!card.hasAttribute(this.ORDER_ATTRIBUTE)) {
+                    card.setAttribute(this.ORDER_ATTRIBUTE, this.nextOrder++);
+                }
+
+                const hide = this.isHidden(records[jobId]);
+                if (card.classList.contains(this.HIDDEN_CLASS) !== hide) {
+                    card.classList.toggle(this.HIDDEN_CLASS, hide);
+                }
+
+                if (!card.parentElement) return;
+                if (!groups.has(card.parentElement)) groups.set(card.parentElement, []);
+                groups.get(card.parentElement).push({ card, value: this.options.sortBy ? this.getSortValue(records[jobId]) : null });
+            });
+
+            groups.forEach((items, parent) => this.sortList(parent, items));
+        },
+
+        // Reorder cards within their list, jobs without stats go last
+        sortList(parent, items) {
+            const sorted = items.slice().sort((a, b) => {
+                if (a.value !== b.value) {
+                    if (a.value === null || a.value === undefined) return 1;
+                    if (b.value === null || b.value === undefined) return -1;
+                    return a.value - b.value;
+                }
+                return this.getOrder(a.card) - this.getOrder(b.card);
+            });
+
+            // Leave the DOM alone when it is already in order so the observer settles
+            if (sorted.every((item, index) => item.card === items[index].card)) return;
+
+            const anchor = items[items.length - 1].card.nextSibling;
+            sorted.forEach(item => parent.insertBefore(item.card, anchor));
+        }
+    };
+
+    global.CardBadges = CardBadges;
+    global.ResultsControls = ResultsControls;
+})(self);
@@ -0,0 +1,114 @@
+// Per-tab toolbar badge showing the current job's applicant count
+(function(global) {
+    'use strict';
+
+    const DEFAULT_THRESHOLDS = { low: 50, high: 500 };
+    const COLORS = {
+        low: '#2e7d32',
+        medium: '#ef8f00',
+        high: '#c62828',
+        unknown: '#757575'
+    };
+    const FLASH_DURATION = 2500;
+
+    // Stats each tab's badge shows, to put back after a flash
+    const shownStats = new Map();
+
+    function isCount(value) {
+        return typeof value === 'number' && isFinite(value) && value >= 0;
+    }
+
+    // Stored thresholds are only used when they form a valid low <= high pair
+    function normalizeThresholds(value) {
+        if (value && isCount(value.low) && isCount(value.high) && value.low <= value.high) {
+            return { low: value.low, high: value.high };
+        }
+        return Object.assign({}, DEFAULT_THRESHOLDS);
+    }
+
+    // Set on the options page (see settings.js)
+    async function getThresholds() {
+        const settings = await JobStatsSettings.load();
+        return normalizeThresholds({ low: settings.badgeLow, high: settings.badgeHigh });
+    }
+
+    // Badges fit about four characters, so large counts are abbreviated
+    function formatCount(count) {
+        if (count < 1000) return String(count);
+        if (count < 10000) return `${(count / 1000).toFixed(1).replace(/\.0$/, '')}k`;
+        if (count < 1000000) return `${Math.round(count / 1000)}k`;
+        return `${Math.round(count / 1000000)}m`;
+    }
+
+    // The manifest's title, which in the CDP build says what clicking the button does
+    function getDefaultTitle() {
+        const action = chrome.runtime.getManifest().action || {};
+        return action.default_title || 'LinkedIn Job Stats';
+    }
+
+    function getLevel(applies, thresholds) {
+        if (!isCount(applies)) return 'unknown';
+        if (applies < thresholds.low) return 'low';
+        if (applies > thresholds.high) return 'high';
+        return 'medium';
+    }
+
+    async function update(tabId, stats) {
+        if (!stats || !isCount(stats.applies)) {
+            return clear(tabId);
+        }
+        shownStats.set(tabId, stats);
+
+        const thresholds = await getThresholds();
+        const level = getLevel(stats.applies, thresholds);
+
+        try {
+            await chrome.action.setBadgeText({ tabId, text: formatCount(stats.applies) });
+            await chrome.action.setBadgeBackgroundColor({ tabId, color: COLORS[level] });
+            if (chrome.action.setBadgeTextColor) {
+                await chrome.action.setBadgeTextColor({ tabId, color: '#ffffff' });
+            }
+            await chrome.action.setTitle({ tabId, title: `${getDefaultTitle()}\n${stats.applies.toLocaleString()} applicants` });
+        } catch (error) {
+            // The tab may have closed while thresholds were loading
+            console.log('Could not update toolbar badge:', error);
+        }
+    }
+
+    async function clear(tabId) {
+        shownStats.delete(tabId);
+        try {
+            await chrome.action.setBadgeText({ tabId, text: '' });
+            await chrome.action.setTitle({ tabId, title: getDefaultTitle() });
+        } catch (error) {
+            console.log('Could not clear toolbar badge:', error);
+        }
+    }
+
+    // Briefly show the outcome of a keyboard shortcut pressed while the panel is dismissed,
+    // then go back to the count
+    async function flash(tabId, text, failed = false) {
+        try {
+            await chrome.action.setBadgeText({ tabId, text: failed ? '!' : '✓' });
+            await chrome.action.setBadgeBackgroundColor({ tabId, color: failed ? COLORS.high : COLORS.low });
+            await chrome.action.setTitle({ tabId, title: `${getDefaultTitle()}\n${text}` });
+        } catch (error) {
+            console.log('Could not flash toolbar badge:', error);
+            return;
+        }
+        setTimeout(() => {
+            update(tabId, shownStats.get(tabId) || null);
+        }, FLASH_DURATION);
+    }
+
+    global.ToolbarBadge = {
+        DEFAULT_THRESHOLDS,
+        normalizeThresholds,
+        getThresholds,
+        formatCount,
+        getLevel,
+        update,
+        clear,
+        flash
+    };
+})(self);
@@ -0,0 +1,90 @@
+// Watched jobs with their latest counts and a refresh button, for the popup and the options page
+(function(global) {
+    'use strict';
+
+    const EMPTY_TEXT = 'Watch a job from the on-page panel to track it here.';
+    const SCHEDULE_TEXT = 'Checked every hour through an open LinkedIn tab.';
+
+    function formatCount(value) {
+        return value !== null && value !== undefined ? value.toLocaleString() : 'N/A';
+    }
+
+    function renderEntry(entry, onRemove) {
+        const item = document.createElement('li');
+        const info = document.createElement('div');
+        info.className = 'watch-info';
+
+        const link = document.createElement('a');
+        link.href = `https://www.linkedin.com/jobs/view/${entry.jobId}/`;
+        link.target = '_blank';
+        link.textContent = entry.title || `Job ${entry.jobId}`;
+
+        const counts = document.createElement('div');
+        counts.className = 'watch-counts';
+        counts.textContent = entry.latest
+            ? `${formatCount(entry.latest.applies)} applicants · ${formatCount(entry.latest.views)} views`
+            : 'No stats yet';
+
+        const change = document.createElement('div');
+        change.className = entry.lastError ? 'watch-change error' : 'watch-change';
+        change.textContent = entry.lastError ? `Last check failed: ${entry.lastError}` : JobWatchlist.describeChange(entry);
+        info.append(link, counts, change);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'remove-btn';
+        remove.title = 'Stop watching';
+        remove.setAttribute('aria-label', `Stop watching ${link.textContent}`);
+        remove.textContent = '×';
+        remove.addEventListener('click', () => onRemove(entry));
+
+        item.appendChild(info);
+        item.appendChild(remove);
+        return item;
+    }
+
+    // Fill `list` from the service worker and keep it current. `send` posts a message to the
+    // worker and rejects on an error reply. Returns { load } to reload the list on demand.
+    function attach({ list, status, refreshButton, send }) {
+        function unwatch(entry) {
+            send({ type: 'UNWATCH_JOB', jobId: entry.jobId }).then(load).catch(error => {
+                status.textContent = `Could not update the watchlist: ${error.message}`;
+            });
+        }
+
+        function load() {
+            return send({ type: 'GET_WATCHLIST' }).then(response => {
+                list.replaceChildren(...response.entries.map(entry => renderEntry(entry, unwatch)));
+                refreshButton.disabled = response.entries.length === 0;
+                status.textContent = response.entries.length === 0 ? EMPTY_TEXT : SCHEDULE_TEXT;
+            }).catch(error => {
+                status.textContent = `Could not load the watchlist: ${error.message}`;
+            });
+        }
+
+        refreshButton.addEventListener('click', () => {
+            refreshButton.disabled = true;
+            status.textContent = 'Checking watched jobs…';
+            send({ type: 'REFRESH_WATCHLIST' }).then(result => {
+                return load().then(() => {
+                    status.textContent = `Checked ${result.checked} watched jobs.`;
+                });
+            }).catch(error => {
+                status.textContent = `Refresh failed: ${error.message}`;
+                refreshButton.disabled = false;
+            });
+        });
+
+        // Jobs watched from a tab or checked by the alarm while the page is open
+        chrome.storage.onChanged.addListener((changes, namespace) => {
+            if (namespace === 'local' && changes[JobWatchlist.STORAGE_KEY]) load();
+        });
+
+        load();
+        return { load };
+    }
+
+    global.WatchlistView = {
+        attach
+    };
+})(self);
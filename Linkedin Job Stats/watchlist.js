@@ -0,0 +1,218 @@
+// Jobs the user is waiting on, kept in extension storage and refreshed on a schedule
+(function(global) {
+    'use strict';
+
+    const STORAGE_KEY = 'watchlist';
+    const ALARM_NAME = 'watchlist-refresh';
+    const REFRESH_MINUTES = 60;
+    const LINKEDIN_URL_PATTERN = 'https://www.linkedin.com/*';
+
+    function toCounts(stats) {
+        return stats ? { views: stats.views ?? null, applies: stats.applies ?? null, timestamp: stats.timestamp || Date.now() } : null;
+    }
+
+    function difference(latest, previous, key) {
+        return latest && previous && latest[key] !== null && previous[key] !== null ? latest[key] - previous[key] : null;
+    }
+
+    function formatDelta(value, label) {
+        return `${value > 0 ? '+' : ''}${value.toLocaleString()} ${label}`;
+    }
+
+    // Runs inside a LinkedIn tab so the requests carry the user's session.
+    // Must stay self-contained: chrome.scripting serializes it without its closure.
+    async function fetchJobPostings(jobIds) {
+        const cookie = document.cookie.match(/(?:^|;\s*)JSESSIONID="?([^";]+)/);
+        const results = [];
+
+        // One at a time to stay well clear of LinkedIn's rate limits
+        for (const jobId of jobIds) {
+            const url = `${location.origin}/voyager/api/jobs/jobPostings/${jobId}`;
+            try {
+                const response = await fetch(url, {
+                    credentials: 'include',
+                    headers: {
+                        'accept': 'application/vnd.linkedin.normalized+json+2.1',
+                        'csrf-token': cookie ? cookie[1] : '',
+                        'x-restli-protocol-version': '2.0.0'
+                    }
+                });
+                results.push(response.ok
+                    ? { jobId, url, payload: await response.json() }
+                    : { jobId, url, error: `LinkedIn answered ${response.status}` });
+            } catch (error) {
+                results.push({ jobId, url, error: error.message });
+            }
+        }
+        return results;
+    }
+
+    async function findLinkedInTab() {
+        const tabs = await chrome.tabs.query({ url: LINKEDIN_URL_PATTERN });
+        return tabs.find(tab => !tab.discarded) || null;
+    }
+
+    // Entries are { jobId, title, addedAt, lastChecked, lastError, latest, previous } keyed by job ID;
+    // `previous` holds the counts from the check before the latest one
+    class JobWatchlist {
+        // Counts gained since the previous check, null until a job has been checked twice
+        static getChange(entry) {
+            if (!entry || !entry.latest || !entry.previous) return null;
+            return {
+                views: difference(entry.latest, entry.previous, 'views'),
+                applies: difference(entry.latest, entry.previous, 'applies')
+            };
+        }
+
+        static describeChange(entry) {
+            const change = JobWatchlist.getChange(entry);
+            if (!change) return entry && entry.lastChecked ? 'Checked once so far' : 'Waiting for first check';
+
+            const parts = [];
+            if (change.applies) parts.push(formatDelta(change.applies, 'applicants'));
+            if (change.views) parts.push(formatDelta(change.views, 'views'));
+            return parts.length > 0 ? `${parts.join(', ')} since last check` : 'No change since last check';
+        }
+
+        // Alarms outlive the worker, so only create the schedule when it is missing
+        static async ensureAlarm() {
+            if (!await chrome.alarms.get(ALARM_NAME)) {
+                await chrome.alarms.create(ALARM_NAME, { periodInMinutes: REFRESH_MINUTES });
+            }
+        }
+
+        constructor(storage = chrome.storage.local) {
+            this.storage = storage;
+            this.queue = Promise.resolve();
+        }
+
+        async getEntries() {
+            const result = await this.storage.get([STORAGE_KEY]);
+            return result[STORAGE_KEY] || {};
+        }
+
+        // Most recently added first
+        async getAll() {
+            const entries = await this.getEntries();
+            return Object.values(entries).sort((a, b) => b.addedAt - a.addedAt);
+        }
+
+        async has(jobId) {
+            return String(jobId) in await this.getEntries();
+        }
+
+        // Updates are chained so an alarm and a content script message can't overwrite each other
+        update(mutate) {
+            const update = this.queue.then(async () => {
+                const entries = await this.getEntries();
+                if (mutate(entries) !== false) {
+                    await this.storage.set({ [STORAGE_KEY]: entries });
+                }
+            });
+            this.queue = update.catch(() => {});
+            return update;
+        }
+
+        add(jobId, stats = null) {
+            const key = String(jobId);
+            return this.update(entries => {
+                if (entries[key]) return false;
+                entries[key] = {
+                    jobId: key,
+                    title: stats && stats.details ? stats.details.title || null : null,
+                    addedAt: Date.now(),
+                    lastChecked: null,
+                    lastError: null,
+                    latest: toCounts(stats),
+                    previous: null
+                };
+            });
+        }
+
+        remove(jobId) {
+            return this.update(entries => {
+                if (!(String(jobId) in entries)) return false;
+                delete entries[String(jobId)];
+            });
+        }
+
+        // A scheduled check: the counts it replaces become the baseline for the next change
+        recordCheck(jobId, stats) {
+            return this.update(entries => {
+                const entry = entries[String(jobId)];
+                if (!entry) return false;
+
+                if (entry.latest) entry.previous = entry.latest;
+                entry.latest = toCounts(stats);
+                entry.lastChecked = Date.now();
+                entry.lastError = null;
+                if (stats.details && stats.details.title) entry.title = stats.details.title;
+            });
+        }
+
+        recordError(jobId, message) {
+            return this.update(entries => {
+                const entry = entries[String(jobId)];
+                if (!entry) return false;
+
+                entry.lastChecked = Date.now();
+                entry.lastError = message;
+            });
+        }
+
+        // Stats seen while browsing keep the latest counts current without moving the baseline
+        recordCapture(stats) {
+            return this.update(entries => {
+                const entry = entries[String(stats.jobId)];
+                if (!entry) return false;
+
+                entry.latest = toCounts(stats);
+                if (stats.details && stats.details.title) entry.title = stats.details.title;
+            });
+        }
+
+        // Fetch fresh counts for every watched job through an open LinkedIn tab (see job-endpoints.js).
+        // saveObservation(stats) stores each new observation in the worker's history.
+        async refresh(saveObservation) {
+            const entries = await this.getAll();
+            if (entries.length === 0) return { checked: 0 };
+
+            const tab = await findLinkedInTab();
+            if (!tab) {
+                return { checked: 0, error: 'Open a LinkedIn tab to refresh watched jobs.' };
+            }
+
+            const [injection] = await chrome.scripting.executeScript({
+                target: { tabId: tab.id },
+                func: fetchJobPostings,
+                args: [entries.map(entry => entry.jobId)]
+            });
+
+            let checked = 0;
+            for (const result of (injection && injection.result) || []) {
+                if (result.error) {
+                    await this.recordError(result.jobId, result.error);
+                    continue;
+                }
+
+                const stats = JobEndpoints.extract(result.url, result.payload).find(item => item.jobId === result.jobId);
+                if (!stats) {
+                    await this.recordError(result.jobId, 'No counts in the response');
+                    continue;
+                }
+
+                stats.timestamp = Date.now();
+                await saveObservation(stats);
+                await this.recordCheck(result.jobId, stats);
+                checked++;
+            }
+            JobStatsSettings.log(`👀 Refreshed ${checked} of ${entries.length} watched jobs`);
+            return { checked };
+        }
+    }
+
+    JobWatchlist.STORAGE_KEY = STORAGE_KEY;
+    JobWatchlist.ALARM_NAME = ALARM_NAME;
+
+    global.JobWatchlist = JobWatchlist;
+})(self);
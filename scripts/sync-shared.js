@@ -0,0 +1,52 @@
+// Copies the modules and pages in shared/ into both extension directories.
+// Each build must be self-contained to load unpacked, so the copies are committed;
+// edit shared/ and run `npm run sync-shared`, never the copies.
+const fs = require("node:fs");
+const path = require("node:path");
+
+const ROOT = path.join(__dirname, "..");
+const SHARED_DIR = path.join(ROOT, "shared");
+const BUILD_DIRS = ["Linkedin Job Stats", "Linkedin Job Stats (CDP)"].map((dir) => path.join(ROOT, dir));
+
+function listSharedFiles() {
+  return fs.readdirSync(SHARED_DIR).filter((file) => /\.(js|html)$/.test(file)).sort();
+}
+
+// Build copies that are missing or differ from shared/
+function findStaleCopies() {
+  const stale = [];
+  listSharedFiles().forEach((file) => {
+    const source = fs.readFileSync(path.join(SHARED_DIR, file), "utf8");
+    BUILD_DIRS.forEach((dir) => {
+      const target = path.join(dir, file);
+      if (!fs.existsSync(target) || fs.readFileSync(target, "utf8") !== source) {
+        stale.push(path.relative(ROOT, target));
+      }
+    });
+  });
+  return stale;
+}
+
+function syncShared() {
+  const stale = findStaleCopies();
+  listSharedFiles().forEach((file) => {
+    BUILD_DIRS.forEach((dir) => fs.copyFileSync(path.join(SHARED_DIR, file), path.join(dir, file)));
+  });
+  return stale;
+}
+
+if (require.main === module) {
+  if (process.argv.includes("--check")) {
+    const stale = findStaleCopies();
+    if (stale.length > 0) {
+      console.error(`Out of date with shared/: ${stale.join(", ")}\nRun npm run sync-shared`);
+      process.exit(1);
+    }
+    console.log("Shared modules are in sync");
+  } else {
+    const updated = syncShared();
+    console.log(updated.length > 0 ? `Updated ${updated.join(", ")}` : "Shared modules already in sync");
+  }
+}
+
+module.exports = { listSharedFiles, findStaleCopies, syncShared, SHARED_DIR, BUILD_DIRS };
@@ -0,0 +1,127 @@
+// Application status selector and note for the open job, in the floating panel
+(function(global) {
+    'use strict';
+
+    const NOTE_SAVE_DELAY = 600;
+
+    const ApplicationControls = {
+        jobId: null,
+        application: null,
+        saveTimer: null,
+        pendingNote: null,
+
+        getContainer() {
+            const popup = JobStatsPanel.getPopup();
+            return popup ? popup.querySelector('.application-controls') : null;
+        },
+
+        // Add the tracker to the panel, above the results controls and footer
+        render(popup) {
+            if (popup.querySelector('.application-controls')) return;
+
+            const options = JobApplication.STATUSES
+                .map(status => `<option value="${status.value}">${status.label}</option>`)
+                .join('');
+            const container = document.createElement('div');
+            container.className = 'application-controls';
+            container.innerHTML = `
+                <label>Status
+                    <select class="application-status">
+                        <option value="">Not tracked</option>
+                        ${options}
+                    </select>
+                </label>
+                <textarea class="application-note" rows="2" maxlength="${JobApplication.MAX_NOTE_LENGTH}"
+                    placeholder="Note: recruiter, salary, next step…" aria-label="Application note"></textarea>
+                <div class="application-snapshot"></div>
+            `;
+            popup.insertBefore(container, popup.querySelector('.results-controls') || popup.querySelector('.footer'));
+
+            container.querySelector('.application-status').addEventListener('change', (e) => {
+                this.save({ status: e.target.value });
+            });
+
+            container.querySelector('.application-note').addEventListener('input', (e) => {
+                this.pendingNote = e.target.value;
+                clearTimeout(this.saveTimer);
+                this.saveTimer = setTimeout(() => this.flushNote(), NOTE_SAVE_DELAY);
+            });
+
+            container.querySelector('.application-note').addEventListener('blur', () => this.flushNote());
+
+            this.sync();
+        },
+
+        // Show the tracking of the job now open, saving any note typed for the previous one
+        setJob(jobId, record) {
+            if (jobId !== this.jobId) this.flushNote();
+            this.jobId = jobId;
+            this.application = record ? record.application || null : null;
+            this.sync();
+        },
+
+        flushNote() {
+            clearTimeout(this.saveTimer);
+            if (this.pendingNote === null) return;
+
+            const note = this.pendingNote;
+            this.pendingNote = null;
+            this.save({ note });
+        },
+
+        async save(update) {
+            const jobId = this.jobId;
+            if (!jobId) return;
+
+            try {
+                const response = await chrome.runtime.sendMessage(Object.assign({ type: 'SET_JOB_APPLICATION', jobId }, update));
+                if (!response || response.error) {
+                    throw new Error(response ? response.error : 'No response');
+                }
+                if (jobId === this.jobId) {
+                    this.application = response.record.application || null;
+                    this.syncSnapshot();
+                }
+            } catch (error) {
+                console.log('Could not save the application status:', error);
+            }
+        },
+
+        sync() {
+            const container = this.getContainer();
+            if (!container) return;
+
+            const application = this.application;
+            const status = container.querySelector('.application-status');
+            const note = container.querySelector('.application-note');
+
+            status.disabled = !this.jobId;
+            note.disabled = !this.jobId;
+            status.value = application && application.status ? application.status : '';
+            // Leave a note being typed alone
+            if (this.pendingNote === null) {
+                note.value = application ? application.note : '';
+            }
+            this.syncSnapshot();
+        },
+
+        syncSnapshot() {
+            const container = this.getContainer();
+            if (!container) return;
+
+            const snapshot = JobApplication.getAppliedSnapshot(this.application);
+            const element = container.querySelector('.application-snapshot');
+            if (!snapshot) {
+                element.textContent = '';
+                return;
+            }
+
+            const applies = snapshot.applies !== null ? snapshot.applies.toLocaleString() : 'N/A';
+            const views = snapshot.views !== null ? snapshot.views.toLocaleString() : 'N/A';
+            const via = snapshot.source === 'easy_apply' ? ' with Easy Apply' : '';
+            element.textContent = `Applied ${new Date(snapshot.timestamp).toLocaleDateString()}${via} at ${applies} applicants · ${views} views`;
+        }
+    };
+
+    global.ApplicationControls = ApplicationControls;
+})(self);
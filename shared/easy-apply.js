@@ -0,0 +1,59 @@
+// Spots a submitted Easy Apply application, from the submit request or LinkedIn's confirmation dialog
+(function(global) {
+    'use strict';
+
+    // Requests that submit an Easy Apply application; later entries cover older page versions
+    const SUBMIT_PATTERNS = [
+        /voyager\/api\/voyagerJobsDashOnsiteApplyApplication\?.*\baction=submitApplication\b/,
+        /voyager\/api\/jobs\/easyApplyApplications(?:[?/#]|$)/
+    ];
+    const JOB_POSTING_URN = /urn:li:(?:fsd_jobPosting|fs_normalized_jobPosting|jobPosting)(?::|%3A)(\d+)/;
+    const CONFIRMATION_SELECTOR = '[data-test-modal-id="post-apply-modal"], .jpac-modal-header, .artdeco-modal h2, .artdeco-modal h3';
+    const CONFIRMATION_TEXT = /^\s*(?:your )?application (?:was )?sent\b/i;
+
+    function isSubmitRequest(url, method = 'POST') {
+        if (!url || String(method).toUpperCase() !== 'POST') return false;
+        const href = String(url);
+        return SUBMIT_PATTERNS.some(pattern => pattern.test(href));
+    }
+
+    // The job a submit request is for, from its URL or JSON body, or null
+    function getJobId(url, body) {
+        const sources = [String(url || ''), typeof body === 'string' ? body : ''];
+        for (const source of sources) {
+            const match = source.match(JOB_POSTING_URN);
+            if (match) return match[1];
+        }
+        return null;
+    }
+
+    function isConfirmation(element) {
+        if (element.matches('[data-test-modal-id="post-apply-modal"]')) return true;
+        return CONFIRMATION_TEXT.test(element.textContent || '');
+    }
+
+    // Call onSubmitted() once for each confirmation dialog LinkedIn shows after a submit
+    function observeConfirmation(onSubmitted, root = global.document) {
+        const seen = new WeakSet();
+        const check = () => {
+            root.querySelectorAll(CONFIRMATION_SELECTOR).forEach(element => {
+                const dialog = element.closest('.artdeco-modal, [role="dialog"]') || element;
+                if (seen.has(dialog) || !isConfirmation(element)) return;
+                seen.add(dialog);
+                onSubmitted();
+            });
+        };
+
+        const observer = new MutationObserver(check);
+        observer.observe(root.body, { childList: true, subtree: true });
+        check();
+        return observer;
+    }
+
+    global.EasyApply = {
+        SUBMIT_PATTERNS,
+        isSubmitRequest,
+        getJobId,
+        observeConfirmation
+    };
+})(self);
@@ -0,0 +1,46 @@
+// Reads which job is open, and what kind of jobs page this is, from the LinkedIn page
+(function(global) {
+    'use strict';
+
+    const TOP_CARD_SELECTORS = [
+        '.job-details-jobs-unified-top-card [data-job-id]',
+        '.jobs-unified-top-card [data-job-id]',
+        '.job-details-jobs-unified-top-card[data-job-id]',
+        '.jobs-unified-top-card[data-job-id]',
+        '.jobs-search__job-details [data-entity-urn*="jobPosting"]'
+    ];
+
+    function isJobId(value) {
+        return typeof value === 'string' && /^\d+$/.test(value);
+    }
+
+    // Job open in the detail pane: the URL first, then the top card
+    function getCurrentJobId(location = global.location, doc = global.document) {
+        // On search and collection pages the open job is in the URL
+        const currentJobParam = new URLSearchParams(location.search).get('currentJobId');
+        if (isJobId(currentJobParam)) return currentJobParam;
+
+        const viewMatch = location.pathname.match(/\/jobs\/view\/(\d+)/);
+        if (viewMatch) return viewMatch[1];
+
+        for (const selector of TOP_CARD_SELECTORS) {
+            const element = doc.querySelector(selector);
+            if (!element) continue;
+
+            const urnMatch = (element.getAttribute('data-entity-urn') || '').match(/(\d+)$/);
+            const jobId = element.getAttribute('data-job-id') || (urnMatch && urnMatch[1]);
+            if (isJobId(jobId)) return jobId;
+        }
+        return null;
+    }
+
+    // Search and collection pages list job cards next to the detail pane
+    function isResultsPage(location = global.location) {
+        return /^\/jobs\/(search|collections)/.test(location.pathname);
+    }
+
+    global.JobPage = {
+        getCurrentJobId,
+        isResultsPage
+    };
+})(self);
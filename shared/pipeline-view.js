@@ -0,0 +1,65 @@
+// Tracked jobs grouped by application status, for the popup and the options page
+(function(global) {
+    'use strict';
+
+    function formatCount(value) {
+        return value !== null && value !== undefined ? value.toLocaleString() : 'N/A';
+    }
+
+    function describeApplication(record) {
+        const snapshot = JobApplication.getAppliedSnapshot(record.application);
+        const latest = record.observations[record.observations.length - 1];
+        const parts = [];
+        if (snapshot) {
+            parts.push(`applied at ${formatCount(snapshot.applies)} applicants`);
+        }
+        if (latest) {
+            parts.push(`now ${formatCount(latest.applies)}`);
+        }
+        return parts.join(', ');
+    }
+
+    function renderItem(record) {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `https://www.linkedin.com/jobs/view/${record.jobId}/`;
+        link.target = '_blank';
+        link.textContent = record.details && record.details.title ? record.details.title : `Job ${record.jobId}`;
+        item.appendChild(link);
+
+        const summary = describeApplication(record);
+        if (summary) {
+            item.appendChild(document.createTextNode(` · ${summary}`));
+        }
+        if (record.application.note) {
+            const note = document.createElement('div');
+            note.className = 'pipeline-note';
+            note.textContent = record.application.note;
+            item.appendChild(note);
+        }
+        return item;
+    }
+
+    // Fill `container` with a heading and list per status that has jobs, headings at
+    // `headingLevel` to fit the page around them. Returns the number of groups shown.
+    function render(container, records, headingLevel = 3) {
+        const groups = JobApplication.groupByStatus(records).filter(group => group.records.length > 0);
+        container.replaceChildren(...groups.map(group => {
+            const section = document.createElement('div');
+            section.className = 'pipeline-group';
+            const heading = document.createElement(`h${headingLevel}`);
+            heading.textContent = `${group.label} (${group.records.length})`;
+            const list = document.createElement('ul');
+            list.replaceChildren(...group.records.map(renderItem));
+            section.appendChild(heading);
+            section.appendChild(list);
+            return section;
+        }));
+        return groups.length;
+    }
+
+    global.PipelineView = {
+        describeApplication,
+        render
+    };
+})(self);
@@ -0,0 +1,216 @@
+// User settings shared by both builds, kept in chrome.storage.sync so they follow the browser profile
+(function(global) {
+    'use strict';
+
+    const STORAGE_KEY = 'settings';
+    const VERSION = 1;
+
+    // Panel rows that can be hidden, in the order the panel shows them
+    const STATS = [
+        { value: 'summary', label: 'Job title and company' },
+        { value: 'views', label: 'Views' },
+        { value: 'applies', label: 'Applicants' },
+        { value: 'liveFor', label: 'Live for' },
+        { value: 'trend', label: 'Change since last visit' },
+        { value: 'sparkline', label: 'History chart' },
+        { value: 'appliesPerDay', label: 'Applies per day' },
+        { value: 'conversion', label: 'Views → applies' },
+        { value: 'jobId', label: 'Job ID' }
+    ];
+    const CORNERS = ['top-right', 'top-left', 'bottom-right', 'bottom-left'];
+
+    // Type, default and limits of each setting. cdpOnly ones do nothing in the standard build.
+    const FIELDS = {
+        panelCorner: { type: 'choice', values: CORNERS, default: 'top-right', label: 'Panel corner' },
+        panelOffsetX: { type: 'integer', min: 0, max: 2000, default: 20, label: 'Distance from the side' },
+        panelOffsetY: { type: 'integer', min: 0, max: 2000, default: 80, label: 'Distance from the top or bottom' },
+        shownStats: { type: 'list', values: STATS.map(stat => stat.value), default: STATS.map(stat => stat.value), label: 'Shown stats' },
+        panelDelay: { type: 'integer', min: 0, max: 2000, default: 120, label: 'Panel update delay', cdpOnly: true },
+        cacheTtlMinutes: { type: 'integer', min: 1, max: 120, default: 5, label: 'Stats cache lifetime' },
+        badgeLow: { type: 'integer', min: 0, max: 1000000, default: 50, label: 'Green badge limit' },
+        badgeHigh: { type: 'integer', min: 0, max: 1000000, default: 500, label: 'Red badge limit' },
+        logging: { type: 'boolean', default: false, label: 'Console logging' }
+    };
+
+    // chrome.storage.local keys a migration moved into the settings, removed once they are saved
+    const LEGACY_LOCAL_KEYS = ['badgeThresholds'];
+
+    // Steps from the version settings were saved with to the next one, indexed by target version
+    const MIGRATIONS = {
+        // Settings move to storage.sync, taking along the badge thresholds the popup kept locally
+        1: async (stored) => {
+            const result = await chrome.storage.local.get(['badgeThresholds']);
+            const thresholds = result.badgeThresholds;
+            if (!thresholds) return stored;
+            return Object.assign({ badgeLow: thresholds.low, badgeHigh: thresholds.high }, stored);
+        }
+    };
+
+    let loggingEnabled = false;
+    let migrating = null;
+
+    function getDefaults() {
+        const settings = {};
+        Object.keys(FIELDS).forEach(name => {
+            const value = FIELDS[name].default;
+            settings[name] = Array.isArray(value) ? value.slice() : value;
+        });
+        return settings;
+    }
+
+    // The value to store for one setting; throws with a message fit for the options page
+    function validateField(name, value) {
+        const field = FIELDS[name];
+        if (!field) throw new Error(`Unknown setting: ${name}`);
+
+        switch (field.type) {
+            case 'boolean':
+                if (typeof value !== 'boolean') throw new Error(`${field.label} must be on or off`);
+                return value;
+            case 'integer': {
+                const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+                if (!Number.isInteger(number) || number < field.min || number > field.max) {
+                    throw new Error(`${field.label} must be a whole number from ${field.min} to ${field.max}`);
+                }
+                return number;
+            }
+            case 'choice':
+                if (!field.values.includes(value)) throw new Error(`${field.label} must be one of ${field.values.join(', ')}`);
+                return value;
+            case 'list':
+                if (!Array.isArray(value) || value.some(item => !field.values.includes(item))) {
+                    throw new Error(`${field.label} can only include ${field.values.join(', ')}`);
+                }
+                return field.values.filter(item => value.includes(item));
+        }
+        throw new Error(`Unknown setting type: ${field.type}`);
+    }
+
+    // Rules across settings, as a message, or null when there is no conflict
+    function findConflict(settings) {
+        if (settings.badgeLow > settings.badgeHigh) {
+            return 'The green badge limit must not be above the red one';
+        }
+        return null;
+    }
+
+    // A full settings object from whatever is stored: unknown keys are dropped, and
+    // missing or invalid values fall back to their defaults
+    function normalize(stored) {
+        const settings = getDefaults();
+        if (!stored || typeof stored !== 'object') return settings;
+
+        Object.keys(FIELDS).forEach(name => {
+            if (!(name in stored)) return;
+            try {
+                settings[name] = validateField(name, stored[name]);
+            } catch (error) {
+                // Keep the default
+            }
+        });
+        if (findConflict(settings)) {
+            settings.badgeLow = FIELDS.badgeLow.default;
+            settings.badgeHigh = FIELDS.badgeHigh.default;
+        }
+        return settings;
+    }
+
+    async function readStored() {
+        const result = await chrome.storage.sync.get([STORAGE_KEY]);
+        return result[STORAGE_KEY] || null;
+    }
+
+    function save(settings) {
+        return chrome.storage.sync.set({ [STORAGE_KEY]: Object.assign({ version: VERSION }, settings) });
+    }
+
+    async function runMigrations() {
+        const stored = await readStored();
+        let version = stored && stored.version ? stored.version : 0;
+        if (version >= VERSION) return normalize(stored);
+
+        let values = stored || {};
+        for (; version < VERSION; version++) {
+            values = await MIGRATIONS[version + 1](values);
+        }
+        const settings = normalize(values);
+        await save(settings);
+        await chrome.storage.local.remove(LEGACY_LOCAL_KEYS);
+        return settings;
+    }
+
+    // Bring stored settings up to this version. Only the service worker calls this,
+    // so two windows never migrate at once.
+    function migrate() {
+        if (!migrating) {
+            migrating = runMigrations().finally(() => {
+                migrating = null;
+            });
+        }
+        return migrating;
+    }
+
+    async function load() {
+        if (migrating) await migrating.catch(() => null);
+        return normalize(await readStored());
+    }
+
+    // Validate and save some settings, keeping the others; resolves with all of them
+    async function update(changes) {
+        const settings = await load();
+        Object.keys(changes).forEach(name => {
+            settings[name] = validateField(name, changes[name]);
+        });
+        const conflict = findConflict(settings);
+        if (conflict) throw new Error(conflict);
+
+        await save(settings);
+        return settings;
+    }
+
+    async function reset() {
+        const settings = getDefaults();
+        await save(settings);
+        return settings;
+    }
+
+    // Call back with the settings now and again whenever they change, from any window
+    function watch(callback) {
+        const apply = (settings) => {
+            loggingEnabled = settings.logging;
+            callback(settings);
+        };
+
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'sync' && changes[STORAGE_KEY]) {
+                apply(normalize(changes[STORAGE_KEY].newValue));
+            }
+        });
+        load().then(apply).catch(error => {
+            console.warn('Could not read settings:', error);
+        });
+    }
+
+    // Progress messages, shown only when console logging is turned on
+    function log(...args) {
+        if (loggingEnabled) console.log(...args);
+    }
+
+    global.JobStatsSettings = {
+        STORAGE_KEY,
+        VERSION,
+        STATS,
+        CORNERS,
+        FIELDS,
+        getDefaults,
+        validateField,
+        findConflict,
+        normalize,
+        migrate,
+        load,
+        update,
+        reset,
+        watch,
+        log
+    };
+})(self);
@@ -0,0 +1,50 @@
+// LRU cache with TTL for recently captured job stats
+(function(global) {
+    'use strict';
+
+    const DEFAULT_MAX_SIZE = 100;
+    const DEFAULT_TTL = 5 * 60 * 1000; // 5 minutes TTL
+
+    class JobStatsCache {
+        constructor(maxSize = DEFAULT_MAX_SIZE, ttl = DEFAULT_TTL) {
+            this.maxSize = maxSize;
+            this.ttl = ttl;
+            this.cache = new Map();
+        }
+
+        get(jobId) {
+            const key = String(jobId);
+            const entry = this.cache.get(key);
+            if (!entry) return null;
+
+            if (Date.now() - entry.timestamp > this.ttl) {
+                this.cache.delete(key);
+                return null;
+            }
+
+            // Refresh LRU position
+            this.cache.delete(key);
+            this.cache.set(key, entry);
+            return entry.stats;
+        }
+
+        set(jobId, stats) {
+            const key = String(jobId);
+            if (this.cache.has(key)) {
+                this.cache.delete(key);
+            } else if (this.cache.size >= this.maxSize) {
+                // Evict oldest entry (LRU)
+                const oldestKey = this.cache.keys().next().value;
+                this.cache.delete(oldestKey);
+            }
+
+            this.cache.set(key, { stats, timestamp: Date.now() });
+        }
+
+        clear() {
+            this.cache.clear();
+        }
+    }
+
+    global.JobStatsCache = JobStatsCache;
+})(self);
@@ -0,0 +1,296 @@
+// Persistent job stats history backed by IndexedDB. Only the service workers load it, so the
+// database lives in the extension's origin, out of reach of LinkedIn's scripts and its site data.
+(function(global) {
+    'use strict';
+
+    const DB_NAME = 'linkedin-job-stats';
+    const DB_VERSION = 1;
+    const JOBS_STORE = 'jobs';
+    const DUPLICATE_WINDOW = 60 * 1000; // Identical observations within 1 minute are collapsed
+    const MAX_OBSERVATIONS = 1000; // Per job, oldest observations are dropped first
+
+    function toCount(value) {
+        return typeof value === 'number' && isFinite(value) ? value : null;
+    }
+
+    function createRecord(jobId, timestamp) {
+        return {
+            jobId: jobId,
+            firstSeen: timestamp,
+            lastSeen: timestamp,
+            observations: []
+        };
+    }
+
+    // Insert an observation keeping the series sorted and free of duplicates
+    function appendObservation(record, observation, collapse = true) {
+        const series = record.observations;
+
+        if (series.some(item => item.timestamp === observation.timestamp)) {
+            return false;
+        }
+
+        const last = series[series.length - 1];
+        if (collapse && last && observation.timestamp > last.timestamp &&
+            observation.timestamp - last.timestamp < DUPLICATE_WINDOW &&
+            last.views === observation.views && last.applies === observation.applies) {
+            return false;
+        }
+
+        let index = series.length;
+        while (index > 0 && series[index - 1].timestamp > observation.timestamp) {
+            index--;
+        }
+        series.splice(index, 0, observation);
+
+        if (series.length > MAX_OBSERVATIONS) {
+            series.splice(0, series.length - MAX_OBSERVATIONS);
+        }
+
+        record.firstSeen = Math.min(record.firstSeen, observation.timestamp);
+        record.lastSeen = Math.max(record.lastSeen, observation.timestamp);
+        return true;
+    }
+
+    // Keep the latest known posting details, without letting missing fields erase earlier ones
+    function mergeDetails(record, details) {
+        if (!details) return false;
+
+        const merged = Object.assign({}, record.details);
+        Object.keys(details).forEach(key => {
+            if (details[key] !== null && details[key] !== undefined) {
+                merged[key] = details[key];
+            }
+        });
+
+        const changed = JSON.stringify(merged) !== JSON.stringify(record.details || null);
+        record.details = merged;
+        return changed;
+    }
+
+    // An imported application replaces an older one; the status changes of both are kept
+    function mergeApplication(record, application) {
+        if (!application) return false;
+
+        const current = record.application || null;
+        const events = current ? current.events.slice() : [];
+        application.events.forEach(event => {
+            if (!events.some(item => item.status === event.status && item.timestamp === event.timestamp)) {
+                events.push(event);
+            }
+        });
+        events.sort((a, b) => a.timestamp - b.timestamp);
+
+        const isNewer = !current || (application.updatedAt || 0) > (current.updatedAt || 0);
+        const merged = isNewer
+            ? { status: application.status, note: application.note, updatedAt: application.updatedAt, events: events }
+            : Object.assign({}, current, { events: events });
+
+        const changed = JSON.stringify(merged) !== JSON.stringify(current);
+        record.application = merged;
+        return changed;
+    }
+
+    class JobStatsHistory {
+        // Latest observation of a record in the same shape as live stats
+        static toStats(record) {
+            if (!record || record.observations.length === 0) return null;
+
+            const latest = record.observations[record.observations.length - 1];
+            return {
+                jobId: record.jobId,
+                views: latest.views,
+                applies: latest.applies,
+                details: record.details || null,
+                timestamp: latest.timestamp
+            };
+        }
+
+        constructor(dbName = DB_NAME) {
+            this.dbName = dbName;
+            this.dbPromise = null;
+        }
+
+        open() {
+            if (this.dbPromise) return this.dbPromise;
+
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, DB_VERSION);
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    if (event.oldVersion < 1) {
+                        db.createObjectStore(JOBS_STORE, { keyPath: 'jobId' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Allow a later call to retry if opening failed
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+            return this.dbPromise;
+        }
+
+        // Run a read-modify-write on a single job record inside one transaction
+        async updateJob(jobId, mutate) {
+            const db = await this.open();
+
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(JOBS_STORE, 'readwrite');
+                const store = tx.objectStore(JOBS_STORE);
+                let record = null;
+
+                store.get(jobId).onsuccess = (event) => {
+                    record = event.target.result || createRecord(jobId, Date.now());
+                    if (mutate(record) !== false) {
+                        store.put(record);
+                    }
+                };
+
+                tx.oncomplete = () => resolve(record);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        }
+
+        recordObservation(stats) {
+            if (!stats || !stats.jobId) {
+                return Promise.reject(new Error('Observation is missing a job ID'));
+            }
+
+            const jobId = String(stats.jobId);
+            const observation = {
+                timestamp: stats.timestamp || Date.now(),
+                views: toCount(stats.views),
+                applies: toCount(stats.applies)
+            };
+
+            return this.updateJob(jobId, (record) => {
+                if (record.observations.length === 0) {
+                    record.firstSeen = observation.timestamp;
+                    record.lastSeen = observation.timestamp;
+                }
+                const detailsChanged = mergeDetails(record, stats.details);
+                return appendObservation(record, observation) || detailsChanged;
+            });
+        }
+
+        // Merge exported records into the history, observations are unique per job and timestamp.
+        // The newer of the stored and imported application wins.
+        async importRecords(records) {
+            const db = await this.open();
+
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(JOBS_STORE, 'readwrite');
+                const store = tx.objectStore(JOBS_STORE);
+                const result = { jobs: 0, added: 0, duplicates: 0 };
+
+                records.forEach(imported => {
+                    const jobId = String(imported.jobId);
+                    store.get(jobId).onsuccess = (event) => {
+                        // A tracked job may come without observations
+                        const first = imported.observations[0];
+                        const record = event.target.result || createRecord(jobId, first ? first.timestamp : Date.now());
+                        let changed = mergeDetails(record, imported.details);
+                        if (mergeApplication(record, imported.application)) {
+                            changed = true;
+                        }
+
+                        imported.observations.forEach(observation => {
+                            if (appendObservation(record, observation, false)) {
+                                result.added++;
+                                changed = true;
+                            } else {
+                                result.duplicates++;
+                            }
+                        });
+
+                        if (changed) {
+                            result.jobs++;
+                            store.put(record);
+                        }
+                    };
+                });
+
+                tx.oncomplete = () => resolve(result);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        }
+
+        async getJob(jobId) {
+            const db = await this.open();
+
+            return new Promise((resolve, reject) => {
+                const request = db.transaction(JOBS_STORE, 'readonly')
+                    .objectStore(JOBS_STORE)
+                    .get(String(jobId));
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        // Look up several jobs at once, returns a map of job ID to record
+        async getJobs(jobIds) {
+            const db = await this.open();
+
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(JOBS_STORE, 'readonly');
+                const store = tx.objectStore(JOBS_STORE);
+                const records = {};
+
+                jobIds.forEach(jobId => {
+                    store.get(String(jobId)).onsuccess = (event) => {
+                        if (event.target.result) {
+                            records[jobId] = event.target.result;
+                        }
+                    };
+                });
+
+                tx.oncomplete = () => resolve(records);
+                tx.onerror = () => reject(tx.error);
+            });
+        }
+
+        async getAllJobs() {
+            const db = await this.open();
+
+            return new Promise((resolve, reject) => {
+                const request = db.transaction(JOBS_STORE, 'readonly')
+                    .objectStore(JOBS_STORE)
+                    .getAll();
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        async deleteJob(jobId) {
+            const db = await this.open();
+
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(JOBS_STORE, 'readwrite');
+                tx.objectStore(JOBS_STORE).delete(String(jobId));
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+            });
+        }
+
+        async clear() {
+            const db = await this.open();
+
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(JOBS_STORE, 'readwrite');
+                tx.objectStore(JOBS_STORE).clear();
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+            });
+        }
+    }
+
+    global.JobStatsHistory = JobStatsHistory;
+})(self);
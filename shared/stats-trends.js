@@ -0,0 +1,105 @@
+// Trend calculations over a job's stored observation history
+(function(global) {
+    'use strict';
+
+    const HOUR = 60 * 60 * 1000;
+    const DAY = 24 * HOUR;
+    const MIN_RATE_SPAN = HOUR; // Too little history below this to estimate a daily rate
+
+    function isCount(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+
+    function formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 1) return 'under a minute';
+        if (minutes < 60) return `${minutes} min`;
+
+        const hours = Math.round(ms / HOUR);
+        if (hours < 48) return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+
+        const days = Math.round(ms / DAY);
+        return `${days} ${days === 1 ? 'day' : 'days'}`;
+    }
+
+    function formatSigned(value) {
+        return `${value >= 0 ? '+' : '−'}${Math.abs(value).toLocaleString()}`;
+    }
+
+    // Change between the latest observation and the one before it
+    function getDelta(observations) {
+        if (!observations || observations.length < 2) return null;
+
+        const latest = observations[observations.length - 1];
+        const previous = observations[observations.length - 2];
+        return {
+            applies: isCount(latest.applies) && isCount(previous.applies) ? latest.applies - previous.applies : null,
+            views: isCount(latest.views) && isCount(previous.views) ? latest.views - previous.views : null,
+            elapsed: latest.timestamp - previous.timestamp
+        };
+    }
+
+    // Average applicants per day since the job was listed, or across the observed history
+    function getAppliesPerDay(observations, listedAt) {
+        const withApplies = (observations || []).filter(item => isCount(item.applies));
+        const latestApplies = withApplies[withApplies.length - 1];
+
+        if (latestApplies && isCount(listedAt)) {
+            const age = latestApplies.timestamp - listedAt;
+            if (age >= MIN_RATE_SPAN) return latestApplies.applies / (age / DAY);
+        }
+
+        if (withApplies.length < 2) return null;
+
+        const first = withApplies[0];
+        const span = latestApplies.timestamp - first.timestamp;
+        if (span < MIN_RATE_SPAN) return null;
+
+        return (latestApplies.applies - first.applies) / (span / DAY);
+    }
+
+    function getConversion(views, applies) {
+        if (!isCount(views) || !isCount(applies) || views === 0) return null;
+        return applies / views;
+    }
+
+    // How long the job has been live, and how long since it was first listed when reposted
+    function getPostingAge(details, now = Date.now()) {
+        if (!details || !isCount(details.listedAt)) return null;
+
+        const originalListedAt = isCount(details.originalListedAt) ? details.originalListedAt : details.listedAt;
+        return {
+            age: Math.max(0, now - details.listedAt),
+            originalAge: Math.max(0, now - Math.min(originalListedAt, details.listedAt)),
+            reposted: details.reposted === true
+        };
+    }
+
+    function summarize(stats, record) {
+        const observations = record ? record.observations : [];
+        const details = stats.details || (record && record.details) || null;
+        return {
+            delta: getDelta(observations),
+            appliesPerDay: getAppliesPerDay(observations, details ? details.listedAt : null),
+            conversion: getConversion(stats.views, stats.applies),
+            postingAge: getPostingAge(details)
+        };
+    }
+
+    // Human readable description of the latest delta, e.g. "+42 applicants in 3 days"
+    function describeDelta(delta) {
+        if (!delta) return 'First time seeing this job';
+        if (delta.applies === null) return `Last seen ${formatDuration(delta.elapsed)} ago`;
+        return `${formatSigned(delta.applies)} applicants in ${formatDuration(delta.elapsed)}`;
+    }
+
+    global.JobStatsTrends = {
+        summarize,
+        describeDelta,
+        formatDuration,
+        getDelta,
+        getAppliesPerDay,
+        getPostingAge,
+        getConversion
+    };
+})(self);
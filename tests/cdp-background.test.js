@@ -0,0 +1,223 @@
+// Replays Network.responseReceived bursts through the CDP service worker
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { createFakeChrome, loadServiceWorker, delay } = require("./helpers/fake-chrome");
+const { loadFixture } = require("./helpers/jobs-page");
+
+const BACKGROUND = path.join(__dirname, "..", "Linkedin Job Stats (CDP)", "background.js");
+const JOBS_URL = "https://www.linkedin.com/jobs/search/";
+const SETTLE_MS = 450; // Past the worker's 350 ms coalescing delay
+
+function postingUrl(jobId) {
+  return `https://www.linkedin.com/voyager/api/jobs/jobPostings/${jobId}?decorationId=com.linkedin.voyager.deco.jobs.web.shared.WebFullJobPosting-65`;
+}
+
+function postingBody(views, applies) {
+  return { data: { views, applies, title: "Engineer", listedAt: Date.now() } };
+}
+
+async function startWorker(tabIds = [1]) {
+  const chrome = createFakeChrome({ tabs: tabIds.map((id) => ({ id, url: JOBS_URL })) });
+  loadServiceWorker(BACKGROUND, chrome);
+  await delay(0); // Let the startup attach to the open jobs tabs
+  return chrome;
+}
+
+function sentStats(chrome) {
+  return chrome.messages.map(({ tabId, message }) => ({
+    tabId,
+    jobId: message.stats.jobId,
+    views: message.stats.views,
+    applies: message.stats.applies,
+  }));
+}
+
+function bodyReads(chrome) {
+  return chrome.debugger.commands.filter((command) => command.method === "Network.getResponseBody");
+}
+
+test("every job in a prefetch burst is read and sent", async () => {
+  const chrome = await startWorker();
+  const jobIds = ["101", "102", "103", "104", "105"];
+
+  jobIds.forEach((jobId, index) => {
+    chrome.debugger.respond(1, `req-${jobId}`, postingUrl(jobId), postingBody(100 + index, index));
+  });
+  await delay(SETTLE_MS);
+
+  assert.deepEqual(
+    sentStats(chrome).map((stats) => stats.jobId).sort(),
+    jobIds
+  );
+  assert.equal(bodyReads(chrome).length, jobIds.length);
+  assert.deepEqual(sentStats(chrome).find((stats) => stats.jobId === "103"), {
+    tabId: 1, jobId: "103", views: 102, applies: 2,
+  });
+});
+
+test("repeated responses for one job are coalesced to the newest", async () => {
+  const chrome = await startWorker();
+
+  chrome.debugger.respond(1, "req-a", postingUrl("200"), postingBody(10, 1));
+  chrome.debugger.respond(1, "req-b", postingUrl("200"), postingBody(11, 2));
+  chrome.debugger.respond(1, "req-c", postingUrl("200"), postingBody(12, 3));
+  await delay(SETTLE_MS);
+
+  assert.deepEqual(sentStats(chrome), [{ tabId: 1, jobId: "200", views: 12, applies: 3 }]);
+  assert.deepEqual(bodyReads(chrome).map((read) => read.params.requestId), ["req-c"]);
+});
+
+test("older responses are used when the newest one has no counts", async () => {
+  const chrome = await startWorker();
+
+  chrome.debugger.respond(1, "req-full", postingUrl("300"), postingBody(40, 4));
+  chrome.debugger.respond(1, "req-lite", postingUrl("300"), { data: { title: "Engineer" } });
+  await delay(SETTLE_MS);
+
+  assert.deepEqual(sentStats(chrome), [{ tabId: 1, jobId: "300", views: 40, applies: 4 }]);
+  assert.deepEqual(bodyReads(chrome).map((read) => read.params.requestId), ["req-lite", "req-full"]);
+});
+
+test("a job already in the cache is read again instead of resending stale stats", async () => {
+  const chrome = await startWorker();
+
+  chrome.debugger.respond(1, "req-1", postingUrl("400"), postingBody(50, 5));
+  await delay(SETTLE_MS);
+  chrome.debugger.respond(1, "req-2", postingUrl("400"), postingBody(60, 9));
+  await delay(SETTLE_MS);
+
+  assert.deepEqual(sentStats(chrome), [
+    { tabId: 1, jobId: "400", views: 50, applies: 5 },
+    { tabId: 1, jobId: "400", views: 60, applies: 9 },
+  ]);
+  assert.equal(bodyReads(chrome).length, 2);
+});
+
+test("stats are routed to the tab whose request produced them", async () => {
+  const chrome = await startWorker([1, 2]);
+
+  chrome.debugger.respond(1, "tab1-req", postingUrl("500"), postingBody(70, 7));
+  chrome.debugger.respond(2, "tab2-req", postingUrl("500"), postingBody(80, 8));
+  chrome.debugger.respond(2, "tab2-other", postingUrl("501"), postingBody(90, 9));
+  await delay(SETTLE_MS);
+
+  const sent = sentStats(chrome).sort((a, b) => a.tabId - b.tabId || a.jobId.localeCompare(b.jobId));
+  assert.deepEqual(sent, [
+    { tabId: 1, jobId: "500", views: 70, applies: 7 },
+    { tabId: 2, jobId: "500", views: 80, applies: 8 },
+    { tabId: 2, jobId: "501", views: 90, applies: 9 },
+  ]);
+  bodyReads(chrome).forEach((read) => {
+    assert.equal(read.tabId, read.params.requestId.startsWith("tab1") ? 1 : 2);
+  });
+});
+
+test("pending reads are dropped when the tab closes", async () => {
+  const chrome = await startWorker();
+
+  chrome.debugger.respond(1, "req-closed", postingUrl("600"), postingBody(10, 1));
+  chrome.tabs.onRemoved.dispatch(1);
+  await delay(SETTLE_MS);
+
+  assert.equal(bodyReads(chrome).length, 0);
+  assert.equal(chrome.messages.length, 0);
+});
+
+test("responses from other endpoints and unparsable bodies are ignored", async () => {
+  const chrome = await startWorker();
+
+  chrome.debugger.respond(1, "req-feed", "https://www.linkedin.com/voyager/api/feed/updates", postingBody(1, 1));
+  chrome.debugger.respond(1, "req-broken", postingUrl("700"), "{not json");
+  chrome.debugger.respond(1, "req-ok", postingUrl("701"), postingBody(20, 2));
+  await delay(SETTLE_MS);
+
+  assert.deepEqual(sentStats(chrome), [{ tabId: 1, jobId: "701", views: 20, applies: 2 }]);
+});
+
+test("GraphQL and batch responses deliver stats for every job they carry", async () => {
+  const chrome = await startWorker();
+  const cards = loadFixture("endpoints/graphql-job-cards");
+  const batch = loadFixture("endpoints/job-postings-batch");
+
+  chrome.debugger.respond(1, "req-cards", cards.url, cards.response);
+  chrome.debugger.respond(1, "req-batch", batch.url, batch.response);
+  await delay(SETTLE_MS);
+
+  assert.deepEqual(sentStats(chrome).map((stats) => stats.jobId).sort(), [
+    "3901230001", "3901230002", "3901240001", "3901240002",
+  ]);
+  assert.equal(bodyReads(chrome).length, 2);
+});
+
+test("a tab is attached as soon as it starts loading a jobs page, without being activated", async () => {
+  const chrome = await startWorker([]);
+
+  chrome.tabs.onUpdated.dispatch(1, { url: `${JOBS_URL}?keywords=engineer` }, { id: 1 });
+  chrome.tabs.onUpdated.dispatch(2, { status: "loading" }, { id: 2, url: JOBS_URL });
+  chrome.tabs.onUpdated.dispatch(3, { status: "complete" }, { id: 3, url: JOBS_URL });
+  chrome.tabs.onUpdated.dispatch(4, { url: "https://www.linkedin.com/feed/" }, { id: 4 });
+  await delay(0);
+
+  assert.deepEqual([...chrome.debugger.attached].sort(), [1, 2]);
+  const enabled = chrome.debugger.commands.filter((command) => command.method === "Network.enable");
+  assert.deepEqual(enabled.map((command) => command.tabId).sort(), [1, 2]);
+});
+
+test("a detached debugger ends the tab's session and its pending reads", async () => {
+  const chrome = await startWorker();
+  chrome.debugger.respond(1, "req-1", postingUrl("101"), postingBody(10, 1));
+  chrome.debugger.onDetach.dispatch({ tabId: 1 }, "target_closed");
+  await delay(SETTLE_MS);
+
+  chrome.debugger.respond(1, "req-2", postingUrl("102"), postingBody(20, 2));
+  await delay(SETTLE_MS);
+  assert.deepEqual(chrome.messages, []);
+  assert.equal(bodyReads(chrome).length, 0);
+});
+
+test("a tab whose debugging infobar was canceled is not attached again until it is closed", async () => {
+  const chrome = await startWorker();
+  chrome.debugger.attached.delete(1);
+  chrome.debugger.onDetach.dispatch({ tabId: 1 }, "canceled_by_user");
+
+  chrome.tabs.onUpdated.dispatch(1, { url: `${JOBS_URL}?keywords=designer` }, { id: 1 });
+  chrome.tabs.onActivated.dispatch({ tabId: 1 });
+  await delay(0);
+  assert.equal(chrome.debugger.attached.has(1), false);
+
+  // The tab ID can come back for a new tab
+  chrome.tabs.onRemoved.dispatch(1);
+  chrome.tabs.onUpdated.dispatch(1, { url: JOBS_URL }, { id: 1 });
+  await delay(0);
+  assert.equal(chrome.debugger.attached.has(1), true);
+});
+
+test("leaving the jobs pages detaches the debugger and clears the badge", async () => {
+  const chrome = await startWorker();
+  chrome.debugger.respond(1, "req-1", postingUrl("101"), postingBody(10, 7));
+  await delay(SETTLE_MS);
+  assert.equal(chrome.badges.get(1), "7");
+
+  chrome.tabs.onUpdated.dispatch(1, { url: "https://www.linkedin.com/feed/" }, { id: 1 });
+  await delay(0);
+  assert.equal(chrome.debugger.attached.has(1), false);
+  assert.equal(chrome.badges.get(1), "");
+
+  chrome.debugger.respond(1, "req-2", postingUrl("102"), postingBody(20, 2));
+  await delay(SETTLE_MS);
+  assert.deepEqual(sentStats(chrome).map((stats) => stats.jobId), ["101"]);
+});
+
+test("only the worker's own message types are answered", async () => {
+  const chrome = await startWorker();
+  const [listener] = chrome.runtime.onMessage.listeners;
+  const answers = [];
+  const sendResponse = (response) => answers.push(response);
+
+  assert.equal(listener({ type: "toString" }, {}, sendResponse), false);
+  assert.equal(listener({ type: "NOT_A_MESSAGE" }, {}, sendResponse), false);
+  assert.equal(listener({ type: "GET_JOB_RECORDS", jobIds: ["101"] }, {}, sendResponse), true);
+  await delay(0);
+  assert.equal(answers.length, 1);
+});
@@ -0,0 +1,88 @@
+// Replays recorded Voyager responses through Network.getResponseBody into the CDP build's page
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { IDBFactory, IDBKeyRange } = require("fake-indexeddb");
+const { createFakeChrome, loadServiceWorker, delay } = require("./helpers/fake-chrome");
+const { loadFixture, openJobsPage } = require("./helpers/jobs-page");
+
+const BUILD_DIR = path.join(__dirname, "..", "Linkedin Job Stats (CDP)");
+const SETTLE_MS = 600; // Past the worker's 350 ms coalescing and the panel's 120 ms debounce
+
+async function openPage(url, html) {
+  const chrome = createFakeChrome({ tabs: [{ id: 1, url }] });
+  loadServiceWorker(path.join(BUILD_DIR, "background.js"), chrome, { indexedDB: new IDBFactory(), IDBKeyRange });
+  const page = openJobsPage({ dir: BUILD_DIR, chrome, url, html });
+  await delay(50); // Let the worker attach and the page report its open job
+  return { chrome, page };
+}
+
+async function getRecords(page, jobIds) {
+  const response = await page.window.chrome.runtime.sendMessage({ type: "GET_JOB_RECORDS", jobIds });
+  return response.records;
+}
+
+test("a job posting read from the debugger renders in the panel and is stored", async (t) => {
+  const fixture = loadFixture("endpoints/job-posting");
+  const { chrome, page } = await openPage("https://www.linkedin.com/jobs/view/3901234567/");
+  t.after(() => page.close());
+
+  chrome.debugger.respond(1, "req-posting", fixture.url, fixture.response);
+  await delay(SETTLE_MS);
+
+  const text = page.panelText();
+  assert.match(text, /Senior Frontend Engineer/);
+  assert.match(text, /Views:1,234/);
+  assert.match(text, /Applicants:87/);
+
+  const records = await getRecords(page, ["3901234567"]);
+  assert.equal(records["3901234567"].observations[0].applies, 87);
+  assert.equal(chrome.badges.get(1), "87");
+  assert.deepEqual(page.errors, []);
+});
+
+test("GraphQL job cards badge every card and render only the open job", async (t) => {
+  const fixture = loadFixture("endpoints/graphql-job-cards");
+  const { chrome, page } = await openPage(
+    "https://www.linkedin.com/jobs/collections/recommended/?currentJobId=3901240001",
+    `<ul>
+      <li data-occludable-job-id="3901240001"><div class="job-card-container"></div></li>
+      <li data-occludable-job-id="3901240002"><div class="job-card-container"></div></li>
+    </ul>`
+  );
+  t.after(() => page.close());
+
+  chrome.debugger.respond(1, "req-cards", fixture.url, fixture.response);
+  await delay(SETTLE_MS);
+
+  assert.match(page.panelText(), /Product Designer/);
+  assert.doesNotMatch(page.panelText(), /UX Researcher/);
+
+  const badges = Array.from(
+    page.document.querySelectorAll(".linkedin-job-stats-card-badge"),
+    (badge) => badge.textContent
+  );
+  assert.deepEqual(badges, ["312 applicants · 2,048 views", "N/A applicants · 97 views"]);
+  assert.deepEqual(page.errors, []);
+});
+
+test("LinkedIn's application sent dialog marks the open job applied", async (t) => {
+  const fixture = loadFixture("endpoints/job-posting");
+  const { chrome, page } = await openPage("https://www.linkedin.com/jobs/view/3901234567/");
+  t.after(() => page.close());
+  chrome.debugger.respond(1, "req-posting", fixture.url, fixture.response);
+  await delay(SETTLE_MS);
+
+  page.document.body.insertAdjacentHTML(
+    "beforeend",
+    '<div class="artdeco-modal" role="dialog"><h2>Application sent</h2></div>'
+  );
+  await delay(SETTLE_MS);
+
+  const { application } = (await getRecords(page, ["3901234567"]))["3901234567"];
+  assert.equal(application.status, "applied");
+  assert.deepEqual(
+    application.events.map(({ applies, views, source }) => ({ applies, views, source })),
+    [{ applies: 87, views: 1234, source: "easy_apply" }]
+  );
+});
@@ -0,0 +1,32 @@
+// axe-core checks of the panel's markup. axe cannot enter the panel's closed shadow root,
+// so its content is copied into a page of its own and checked there.
+const fs = require("node:fs");
+const { JSDOM } = require("jsdom");
+
+const AXE_SOURCE = fs.readFileSync(require.resolve("axe-core/axe.min.js"), "utf8");
+const RULE_TAGS = ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa", "best-practice"];
+// jsdom lays nothing out, so contrast cannot be measured; the page-level rules do not apply to a panel
+const SKIPPED_RULES = ["color-contrast", "landmark-one-main", "page-has-heading-one"];
+
+// Resolves with one "rule: selectors" line per violation, so a failing assertion names the nodes
+async function checkAccessibility(root) {
+  const dom = new JSDOM(
+    `<!DOCTYPE html><html lang="en"><head><title>Panel</title></head><body>${root.innerHTML}</body></html>`,
+    { runScripts: "outside-only", pretendToBeVisual: true }
+  );
+  try {
+    dom.window.eval(AXE_SOURCE);
+    const results = await dom.window.axe.run(dom.window.document, {
+      runOnly: { type: "tag", values: RULE_TAGS },
+      rules: Object.fromEntries(SKIPPED_RULES.map((rule) => [rule, { enabled: false }])),
+    });
+    // Array.from gives an array of this realm, not of the axe window, for deepEqual
+    return Array.from(results.violations, (violation) => {
+      return `${violation.id}: ${violation.nodes.map((node) => node.target.join(" ")).join(", ")}`;
+    });
+  } finally {
+    dom.window.close();
+  }
+}
+
+module.exports = { checkAccessibility };
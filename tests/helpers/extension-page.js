@@ -0,0 +1,36 @@
+// An extension page (popup or options) in jsdom, running its scripts in order
+// and talking to the worker that owns `chrome`
+const fs = require("node:fs");
+const path = require("node:path");
+const { JSDOM } = require("jsdom");
+const { createPageChrome, delay } = require("./fake-chrome");
+
+async function openExtensionPage({ dir, page, chrome, tabs = [] }) {
+  const { window } = new JSDOM(fs.readFileSync(path.join(dir, page), "utf8"), { runScripts: "outside-only" });
+  const errors = [];
+  window.addEventListener("error", (event) => errors.push(event.error));
+  window.console.log = () => {};
+
+  const pageChrome = createPageChrome(chrome, page);
+  pageChrome.tabs = { query: (queryInfo, callback) => callback(tabs) };
+  window.chrome = pageChrome;
+
+  // Parsing is over but DOMContentLoaded is still to come, as for scripts at the end of <body>
+  for (const script of window.document.querySelectorAll("script[src]")) {
+    window.eval(fs.readFileSync(path.join(dir, script.getAttribute("src")), "utf8"));
+  }
+  await delay(100);
+
+  return {
+    window,
+    errors,
+    document: window.document,
+    text: (selector) => window.document.querySelector(selector).textContent,
+    close: () => {
+      pageChrome.close();
+      window.close();
+    },
+  };
+}
+
+module.exports = { openExtensionPage };
@@ -0,0 +1,297 @@
+// Minimal stand-ins for the chrome.* APIs used by the extension service workers
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const EXTENSION_ID = "linkedinjobstatstestextension";
+const SHARED_DIR = path.join(__dirname, "..", "..", "shared");
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (listener) => listeners.push(listener),
+    removeListener: (listener) => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    dispatch: (...args) => listeners.map((listener) => listener(...args)),
+  };
+}
+
+// One chrome.storage area; writes are reported to onChanged like Chrome does
+function createStorageArea(areaName, onChanged) {
+  const data = {};
+  const notify = (changes) => {
+    if (Object.keys(changes).length > 0) onChanged.dispatch(changes, areaName);
+  };
+
+  return {
+    data,
+    // Content scripts still use the callback form
+    get: async (keys, callback) => {
+      const result = {};
+      [].concat(keys || Object.keys(data)).forEach((key) => {
+        if (key in data) result[key] = structuredClone(data[key]);
+      });
+      if (callback) callback(result);
+      return result;
+    },
+    set: async (items, callback) => {
+      const changes = {};
+      Object.keys(items).forEach((key) => {
+        changes[key] = { oldValue: data[key], newValue: structuredClone(items[key]) };
+      });
+      Object.assign(data, structuredClone(items));
+      notify(structuredClone(changes));
+      if (callback) callback();
+    },
+    remove: async (keys, callback) => {
+      const changes = {};
+      [].concat(keys).forEach((key) => {
+        if (!(key in data)) return;
+        changes[key] = { oldValue: data[key] };
+        delete data[key];
+      });
+      notify(changes);
+      if (callback) callback();
+    },
+  };
+}
+
+// chrome.alarms that only fire when a test calls fire(name)
+function createFakeAlarms() {
+  const alarms = new Map();
+  return {
+    alarms,
+    onAlarm: createEvent(),
+    create: async (name, info) => {
+      alarms.set(name, Object.assign({ name }, info));
+    },
+    get: async (name) => alarms.get(name),
+    fire(name) {
+      this.onAlarm.dispatch(alarms.get(name) || { name });
+    },
+  };
+}
+
+// chrome.debugger replaying canned response bodies, keyed by requestId
+function createFakeDebugger() {
+  const bodies = new Map();
+  const commands = [];
+  const attached = new Set();
+
+  return {
+    bodies,
+    commands,
+    attached,
+    onEvent: createEvent(),
+    onDetach: createEvent(),
+    attach: async ({ tabId }) => {
+      attached.add(tabId);
+    },
+    detach: async ({ tabId }) => {
+      attached.delete(tabId);
+    },
+    sendCommand: async (target, method, params = {}) => {
+      commands.push({ tabId: target.tabId, method, params });
+      if (method !== "Network.getResponseBody") return {};
+      if (!bodies.has(params.requestId)) {
+        throw new Error("No resource with given identifier found");
+      }
+      return { body: bodies.get(params.requestId), base64Encoded: false };
+    },
+    // Replay a Network.responseReceived event as Chrome would deliver it
+    respond(tabId, requestId, url, body) {
+      if (body !== undefined) bodies.set(requestId, typeof body === "string" ? body : JSON.stringify(body));
+      this.onEvent.dispatch({ tabId }, "Network.responseReceived", { requestId, response: { url } });
+    },
+  };
+}
+
+function createFakeChrome({ tabs = [] } = {}) {
+  const messages = [];
+  const onStorageChanged = createEvent();
+  const badges = new Map();
+  const titles = new Map();
+  const contentScripts = new Map();
+  // onMessage of each open extension page (popup, options), reached by the worker's runtime.sendMessage
+  const pages = new Set();
+
+  const chrome = {
+    messages,
+    badges,
+    titles,
+    contentScripts,
+    pages,
+    // Replaced by the build's manifest.json when its worker is loaded
+    manifest: { action: { default_title: "LinkedIn Job Stats" } },
+    alarms: createFakeAlarms(),
+    action: {
+      onClicked: createEvent(),
+      setBadgeText: async ({ tabId, text }) => badges.set(tabId, text),
+      setBadgeBackgroundColor: async () => {},
+      setBadgeTextColor: async () => {},
+      setTitle: async ({ tabId, title }) => titles.set(tabId, title),
+    },
+    commands: {
+      onCommand: createEvent(),
+    },
+    debugger: createFakeDebugger(),
+    runtime: {
+      onMessage: createEvent(),
+      onSuspend: createEvent(),
+      getManifest: () => chrome.manifest,
+      async sendMessage(message) {
+        if (pages.size === 0) {
+          throw new Error("Could not establish connection. Receiving end does not exist.");
+        }
+        pages.forEach((onMessage) => onMessage.dispatch(structuredClone(message), {}, () => {}));
+      },
+    },
+    notifications: {
+      created: [],
+      onClicked: createEvent(),
+      async create(id, options) {
+        this.created.push({ id, options });
+        return id;
+      },
+      clear: async () => true,
+    },
+    scripting: {
+      injections: [],
+      // Tests replace this to answer for the injected function
+      handler: async () => undefined,
+      async executeScript(injection) {
+        this.injections.push(injection);
+        return [{ result: await this.handler(injection) }];
+      },
+    },
+    storage: {
+      local: createStorageArea("local", onStorageChanged),
+      session: createStorageArea("session", onStorageChanged),
+      sync: createStorageArea("sync", onStorageChanged),
+      onChanged: onStorageChanged,
+    },
+    tabs: {
+      onActivated: createEvent(),
+      onUpdated: createEvent(),
+      onRemoved: createEvent(),
+      created: [],
+      query: async () => tabs,
+      async create(properties) {
+        this.created.push(properties);
+        return Object.assign({ id: 1000 + this.created.length }, properties);
+      },
+      get: async (tabId) => tabs.find((tab) => tab.id === tabId),
+      sendMessage: async (tabId, message) => {
+        messages.push({ tabId, message });
+        const onMessage = contentScripts.get(tabId);
+        if (!onMessage) {
+          throw new Error("Could not establish connection. Receiving end does not exist.");
+        }
+        onMessage.dispatch(structuredClone(message), {}, () => {});
+      },
+    },
+  };
+  return chrome;
+}
+
+// Deliver a runtime message the way Chrome does: a listener returning true answers later,
+// and the answer arrives as a copy
+function deliverMessage(onMessage, message, sender) {
+  return new Promise((resolve) => {
+    const sendResponse = (response) => resolve(structuredClone(response));
+    const pending = onMessage.listeners.map((listener) => listener(message, sender, sendResponse));
+    if (!pending.includes(true)) resolve(undefined);
+  });
+}
+
+// chrome.* as seen by a content script in tabId, talking to the worker owning `chrome`.
+// Session storage is left closed to content scripts, as it is by default.
+function createContentChrome(chrome, tabId) {
+  const onMessage = createEvent();
+  chrome.contentScripts.set(tabId, onMessage);
+
+  return {
+    runtime: {
+      getURL: (file) => `chrome-extension://${EXTENSION_ID}/${file}`,
+      onMessage,
+      sendMessage: (message) => deliverMessage(chrome.runtime.onMessage, structuredClone(message), { tab: { id: tabId } }),
+    },
+    storage: {
+      local: chrome.storage.local,
+      sync: chrome.storage.sync,
+      onChanged: chrome.storage.onChanged,
+    },
+  };
+}
+
+// chrome.* as seen by an extension page such as the popup or the options page
+function createPageChrome(chrome, page) {
+  const onMessage = createEvent();
+  chrome.pages.add(onMessage);
+
+  return {
+    runtime: {
+      getURL: (file) => `chrome-extension://${EXTENSION_ID}/${file}`,
+      getManifest: () => chrome.manifest,
+      openOptionsPage: () => {},
+      onMessage,
+      sendMessage: (message) => {
+        return deliverMessage(chrome.runtime.onMessage, structuredClone(message), { url: `chrome-extension://${EXTENSION_ID}/${page}` });
+      },
+    },
+    storage: chrome.storage,
+    close: () => chrome.pages.delete(onMessage),
+  };
+}
+
+// Run a service worker script in its own context, resolving importScripts against its directory
+function loadServiceWorker(file, chrome, globals = {}) {
+  const dir = path.dirname(file);
+  const quietConsole = { log() {}, info() {}, warn() {}, error() {} };
+  const context = vm.createContext(Object.assign({
+    chrome,
+    console: quietConsole,
+    setTimeout,
+    clearTimeout,
+    atob,
+    structuredClone,
+  }, globals));
+
+  context.self = context;
+  chrome.manifest = JSON.parse(fs.readFileSync(path.join(dir, "manifest.json"), "utf8"));
+  context.importScripts = (...files) => {
+    files.forEach((name) => {
+      const source = fs.readFileSync(path.join(dir, name), "utf8");
+      vm.runInContext(source, context, { filename: name });
+    });
+  };
+
+  vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: path.basename(file) });
+  return context;
+}
+
+// Run shared/ modules in order in one context, the way a page or worker loads them
+function loadSharedModules(files, globals = {}) {
+  const context = vm.createContext(Object.assign({}, globals));
+  context.self = context;
+  files.forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(SHARED_DIR, file), "utf8"), context, { filename: file });
+  });
+  return context;
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = {
+  EXTENSION_ID,
+  createEvent,
+  createFakeChrome,
+  createContentChrome,
+  createPageChrome,
+  loadServiceWorker,
+  loadSharedModules,
+  delay,
+};
@@ -0,0 +1,189 @@
+// A LinkedIn jobs page in jsdom running one build's content scripts,
+// with Voyager API calls answered from recorded fixtures instead of the network
+const fs = require("node:fs");
+const path = require("node:path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+const { IDBFactory } = require("fake-indexeddb");
+const { EXTENSION_ID, createContentChrome } = require("./fake-chrome");
+
+const FIXTURES_DIR = path.join(__dirname, "..", "fixtures");
+
+// A recorded response: { url, response }, anonymized before it was checked in
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), "utf8"));
+}
+
+// Serves recorded bodies by URL; anything else is a 404, nothing leaves the process
+function createVoyagerServer(fixtures = []) {
+  const routes = new Map(fixtures.map((fixture) => [fixture.url, fixture.response]));
+  const requests = [];
+
+  return {
+    requests,
+    route(url, response) {
+      routes.set(url, response);
+    },
+    respond(url) {
+      requests.push(url);
+      return routes.has(url)
+        ? { status: 200, body: JSON.stringify(routes.get(url)) }
+        : { status: 404, body: "{}" };
+    },
+  };
+}
+
+// Swap XHR and fetch for the server before any page or extension script runs
+function installNetwork(window, server) {
+  class RecordedXMLHttpRequest extends window.EventTarget {
+    constructor() {
+      super();
+      this.readyState = 0;
+      this.responseType = "";
+      this.status = 0;
+      this.responseText = "";
+      this.response = "";
+    }
+
+    open(method, url) {
+      this.method = method;
+      this.url = String(url);
+      this.readyState = 1;
+    }
+
+    setRequestHeader() {}
+
+    send() {
+      setTimeout(() => {
+        const { status, body } = server.respond(this.url);
+        this.status = status;
+        this.responseText = body;
+        this.response = body;
+        this.readyState = 4;
+        ["readystatechange", "load", "loadend"].forEach((type) => this.dispatchEvent(new window.Event(type)));
+      });
+    }
+  }
+
+  window.XMLHttpRequest = RecordedXMLHttpRequest;
+  window.fetch = async (input) => {
+    const { status, body } = server.respond(typeof input === "string" ? input : input.url);
+    return new Response(body, { status, headers: { "content-type": "application/json" } });
+  };
+}
+
+// jsdom has no matchMedia; `media` lists the queries that match, e.g. "(prefers-contrast: more)"
+function installMediaQueries(window, media) {
+  const matching = new Set(media);
+  window.matchMedia = (query) => ({
+    media: query,
+    matches: matching.has(query),
+    addEventListener() {},
+    removeEventListener() {},
+  });
+}
+
+// jsdom has no pointer capture; tests dispatch pointer events at the element that would hold it
+function installPointerCapture(window) {
+  const captured = new WeakMap();
+  window.Element.prototype.setPointerCapture = function (pointerId) {
+    captured.set(this, pointerId);
+  };
+  window.Element.prototype.releasePointerCapture = function () {
+    captured.delete(this);
+  };
+  window.Element.prototype.hasPointerCapture = function (pointerId) {
+    return captured.get(this) === pointerId;
+  };
+}
+
+// The panel's shadow root is closed, so nothing in the page can reach it; keep each root for the tests
+function recordShadowRoots(window) {
+  const roots = new WeakMap();
+  const attachShadow = window.Element.prototype.attachShadow;
+  window.Element.prototype.attachShadow = function (init) {
+    const root = attachShadow.call(this, init);
+    roots.set(this, root);
+    return root;
+  };
+  return roots;
+}
+
+// Scripts the content scripts appended with chrome.runtime.getURL, run as the page would
+function runInjectedScripts(window, dir) {
+  const prefix = `chrome-extension://${EXTENSION_ID}/`;
+  window.document.querySelectorAll("script[src]").forEach((script) => {
+    if (!script.src.startsWith(prefix) || script.dataset.ran) return;
+    script.dataset.ran = "true";
+    window.eval(fs.readFileSync(path.join(dir, script.src.slice(prefix.length)), "utf8"));
+  });
+}
+
+// Load the build in `dir` into a page at `url`, as tab `tabId` of the worker owning `chrome`
+function openJobsPage({ dir, chrome, tabId = 1, url, html = "", fixtures = [], media = [] }) {
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on("jsdomError", (error) => errors.push(error));
+
+  const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body>${html}</body></html>`, {
+    url,
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+    virtualConsole,
+  });
+  const { window } = dom;
+  const server = createVoyagerServer(fixtures);
+
+  installNetwork(window, server);
+  installMediaQueries(window, media);
+  installPointerCapture(window);
+  const shadowRoots = recordShadowRoots(window);
+  window.indexedDB = new IDBFactory();
+  window.chrome = createContentChrome(chrome, tabId);
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, "manifest.json"), "utf8"));
+  manifest.content_scripts[0].js.forEach((file) => {
+    window.eval(fs.readFileSync(path.join(dir, file), "utf8"));
+    runInjectedScripts(window, dir);
+  });
+
+  return {
+    window,
+    document: window.document,
+    server,
+    errors,
+    // LinkedIn's own code calling a Voyager endpoint
+    xhr(requestUrl, { method = "GET", body = null } = {}) {
+      return new Promise((resolve) => {
+        const request = new window.XMLHttpRequest();
+        request.addEventListener("load", () => resolve(request));
+        request.open(method, requestUrl);
+        request.send(body);
+      });
+    },
+    fetch(requestUrl, init) {
+      return window.fetch(requestUrl, init);
+    },
+    // The panel host's closed shadow root, or null when no panel is open
+    panelRoot() {
+      const host = window.document.querySelector("linkedin-job-stats-panel");
+      return host ? shadowRoots.get(host) : null;
+    },
+    panel() {
+      const root = this.panelRoot();
+      return root ? root.querySelector(".panel") : null;
+    },
+    panelText() {
+      const panel = this.panel();
+      return panel ? panel.querySelector(".stats-content").textContent.replace(/\s+/g, " ").trim() : null;
+    },
+    close() {
+      window.close();
+    },
+  };
+}
+
+module.exports = {
+  loadFixture,
+  createVoyagerServer,
+  openJobsPage,
+};
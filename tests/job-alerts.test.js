@@ -0,0 +1,111 @@
+// Alert rule matching, and notifications raised by both service workers
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { IDBFactory, IDBKeyRange } = require("fake-indexeddb");
+const { createFakeChrome, createContentChrome, loadServiceWorker, loadSharedModules, delay } = require("./helpers/fake-chrome");
+
+const ROOT = path.join(__dirname, "..");
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 5, 10, 12);
+
+function loadAlerts() {
+  return loadSharedModules(["job-alerts.js"]).JobAlerts;
+}
+
+// A history with one observation per [hoursAgo, views, applies]
+function history(jobId, readings) {
+  return {
+    jobId,
+    observations: readings.map(([hoursAgo, views, applies]) => ({ timestamp: NOW - hoursAgo * HOUR, views, applies })),
+  };
+}
+
+function matchedIds(JobAlerts, rules, record) {
+  return Array.from(JobAlerts.evaluate(rules, record), (match) => match.rule.id);
+}
+
+test("a count crossing a threshold matches once, on the observation that crosses it", () => {
+  const JobAlerts = loadAlerts();
+  const rules = [JobAlerts.normalizeRule({ id: "a100", metric: "applies", type: "crosses", value: 100 })];
+
+  assert.deepEqual(matchedIds(JobAlerts, rules, history("1", [[2, 500, 90], [1, 600, 104]])), ["a100"]);
+  assert.deepEqual(matchedIds(JobAlerts, rules, history("1", [[2, 500, 104], [1, 600, 110]])), []);
+  assert.deepEqual(matchedIds(JobAlerts, rules, history("1", [[1, 600, 150]])), [], "a first reading crosses nothing");
+});
+
+test("a jump is measured against the oldest reading of the last day", () => {
+  const JobAlerts = loadAlerts();
+  const rules = [JobAlerts.normalizeRule({ id: "v50", metric: "views", type: "jumps", value: 50 })];
+
+  assert.deepEqual(matchedIds(JobAlerts, rules, history("1", [[20, 1000, 10], [10, 1300, 12], [0, 1600, 15]])), ["v50"]);
+  assert.deepEqual(matchedIds(JobAlerts, rules, history("1", [[30, 1000, 10], [10, 1300, 12], [0, 1600, 15]])), []);
+  const [match] = JobAlerts.evaluate(rules, history("1", [[20, 1000, 10], [0, 1600, 15]]));
+  assert.equal(match.message, "Views up 60% in a day (1,000 → 1,600)");
+});
+
+test("job rules only match their job", () => {
+  const JobAlerts = loadAlerts();
+  const rules = [
+    JobAlerts.normalizeRule({ id: "mine", jobId: "42", metric: "applies", type: "crosses", value: 10 }),
+    JobAlerts.normalizeRule({ id: "any", metric: "applies", type: "crosses", value: 10 }),
+  ];
+
+  assert.deepEqual(matchedIds(JobAlerts, rules, history("42", [[1, 0, 5], [0, 0, 12]])), ["mine", "any"]);
+  assert.deepEqual(matchedIds(JobAlerts, rules, history("43", [[1, 0, 5], [0, 0, 12]])), ["any"]);
+});
+
+test("invalid rules are rejected", () => {
+  const JobAlerts = loadAlerts();
+
+  assert.throws(() => JobAlerts.normalizeRule({ metric: "likes", type: "crosses", value: 1 }), /applicants or views/);
+  assert.throws(() => JobAlerts.normalizeRule({ metric: "applies", type: "crosses", value: "" }), /above 0/);
+  assert.throws(() => JobAlerts.normalizeRule({ metric: "applies", type: "jumps", value: 5, jobId: "abc" }), /numeric/);
+});
+
+test("the standard worker notifies when stored stats cross a rule, once a day", async () => {
+  const chrome = createFakeChrome();
+  loadServiceWorker(path.join(ROOT, "Linkedin Job Stats", "background.js"), chrome, { indexedDB: new IDBFactory(), IDBKeyRange });
+  const content = createContentChrome(chrome, 1);
+  const store = (applies, timestamp) => content.runtime.sendMessage({
+    type: "STORE_JOB_STATS",
+    data: { jobId: "3901234567", views: 1000, applies, timestamp, details: { title: "Senior Frontend Engineer" } },
+  });
+
+  const { rule } = await content.runtime.sendMessage({
+    type: "ADD_ALERT_RULE",
+    rule: { metric: "applies", type: "crosses", value: "100" },
+  });
+  assert.equal(rule.value, 100);
+
+  await store(95, Date.now() - 3 * HOUR);
+  await store(101, Date.now() - 2 * HOUR);
+  await store(80, Date.now() - HOUR);
+  await store(120, Date.now());
+
+  assert.equal(chrome.notifications.created.length, 1);
+  const [{ id, options }] = chrome.notifications.created;
+  assert.equal(options.title, "Senior Frontend Engineer");
+  assert.equal(options.message, "Applicants crossed 100 (now 101)");
+
+  chrome.notifications.onClicked.dispatch(id);
+  assert.equal(chrome.tabs.created[0].url, "https://www.linkedin.com/jobs/view/3901234567/");
+});
+
+test("the CDP worker checks rules on every response it reads", async () => {
+  const chrome = createFakeChrome({ tabs: [{ id: 1, url: "https://www.linkedin.com/jobs/search/" }] });
+  await chrome.storage.local.set({
+    alertRules: [{ id: "v50", jobId: null, metric: "views", type: "jumps", value: 50 }],
+  });
+  loadServiceWorker(path.join(ROOT, "Linkedin Job Stats (CDP)", "background.js"), chrome, { indexedDB: new IDBFactory(), IDBKeyRange });
+  await delay(0);
+
+  const url = "https://www.linkedin.com/voyager/api/jobs/jobPostings/555";
+  chrome.debugger.respond(1, "req-1", url, { data: { views: 200, applies: 4 } });
+  await delay(450);
+  chrome.debugger.respond(1, "req-2", url, { data: { views: 320, applies: 6 } });
+  await delay(450);
+
+  assert.equal(chrome.notifications.created.length, 1);
+  assert.equal(chrome.notifications.created[0].options.message, "Views up 60% in a day (200 → 320)");
+});
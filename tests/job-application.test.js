@@ -0,0 +1,78 @@
+// Application status updates and the popup's pipeline grouping
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadSharedModules } = require("./helpers/fake-chrome");
+
+function loadJobApplication() {
+  return loadSharedModules(["job-application.js"]).JobApplication;
+}
+
+function record(jobId, observations = []) {
+  return { jobId, observations };
+}
+
+test("status changes are logged with the latest counts, notes are not", () => {
+  const JobApplication = loadJobApplication();
+  const job = record("1", [{ timestamp: 1, views: 100, applies: 12 }]);
+
+  assert.equal(JobApplication.applyUpdate(job, JobApplication.normalizeUpdate({ status: "applied" }), 10), true);
+  job.observations.push({ timestamp: 20, views: 300, applies: 40 });
+  JobApplication.applyUpdate(job, JobApplication.normalizeUpdate({ note: "Call on Friday" }), 30);
+  JobApplication.applyUpdate(job, JobApplication.normalizeUpdate({ status: "interviewing" }), 40);
+
+  assert.equal(job.application.status, "interviewing");
+  assert.equal(job.application.note, "Call on Friday");
+  assert.deepEqual(Array.from(job.application.events, ({ status, applies }) => [status, applies]), [
+    ["applied", 12],
+    ["interviewing", 40],
+  ]);
+  assert.equal(JobApplication.getAppliedSnapshot(job.application).applies, 12);
+});
+
+test("an update that changes nothing leaves the record alone", () => {
+  const JobApplication = loadJobApplication();
+  const job = record("1");
+
+  assert.equal(JobApplication.applyUpdate(job, JobApplication.normalizeUpdate({ status: "" })), false);
+  assert.equal(job.application, undefined);
+});
+
+test("unknown statuses are rejected", () => {
+  const JobApplication = loadJobApplication();
+
+  assert.throws(() => JobApplication.normalizeUpdate({ status: "ghosted" }), /Unknown application status/);
+});
+
+test("the pipeline groups tracked jobs in status order, newest update first", () => {
+  const JobApplication = loadJobApplication();
+  const jobs = [record("1"), record("2"), record("3"), record("4")];
+  JobApplication.applyUpdate(jobs[0], { status: "applied" }, 10);
+  JobApplication.applyUpdate(jobs[1], { status: "saved" }, 20);
+  JobApplication.applyUpdate(jobs[2], { status: "applied" }, 30);
+
+  const groups = JobApplication.groupByStatus(jobs);
+  assert.deepEqual(Array.from(groups, (group) => group.status), ["saved", "applied", "interviewing", "offer", "rejected"]);
+  assert.deepEqual(Array.from(groups[1].records, (job) => job.jobId), ["3", "1"]);
+  assert.equal(groups[2].records.length, 0);
+});
+
+test("a submitted application logs its counts once and keeps a later status", () => {
+  const JobApplication = loadJobApplication();
+  const job = record("1", [{ timestamp: 1, views: 100, applies: 12 }]);
+  JobApplication.applyUpdate(job, { status: "saved", note: "Apply by Friday" }, 5);
+
+  assert.equal(JobApplication.recordSubmission(job, { views: 150, applies: 20 }, "easy_apply", 10), true);
+  assert.equal(JobApplication.recordSubmission(job, { views: 160, applies: 21 }, "easy_apply", 11), false);
+  assert.equal(job.application.status, "applied");
+  assert.equal(job.application.note, "Apply by Friday");
+  assert.deepEqual(
+    { ...JobApplication.getAppliedSnapshot(job.application) },
+    { status: "applied", timestamp: 10, views: 150, applies: 20, source: "easy_apply" }
+  );
+
+  const interviewing = record("2", [{ timestamp: 1, views: 100, applies: 12 }]);
+  JobApplication.applyUpdate(interviewing, { status: "interviewing" }, 5);
+  JobApplication.recordSubmission(interviewing, null, "easy_apply", 10);
+  assert.equal(interviewing.application.status, "interviewing");
+  assert.equal(JobApplication.getAppliedSnapshot(interviewing.application).applies, 12, "falls back to the saved history");
+});
@@ -0,0 +1,97 @@
+// Fixture-based checks of every known job stats response shape
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadSharedModules } = require("./helpers/fake-chrome");
+const { loadFixture } = require("./helpers/jobs-page");
+
+function loadEndpoints() {
+  return loadSharedModules(["job-posting.js", "job-endpoints.js"]).JobEndpoints;
+}
+
+// Results come from another vm context, so rebuild them with this realm's prototypes
+function counts(found) {
+  return Array.from(found, ({ jobId, views, applies }) => ({ jobId, views, applies }));
+}
+
+test("single jobPostings response", () => {
+  const JobEndpoints = loadEndpoints();
+  const { url, response } = loadFixture("endpoints/job-posting");
+
+  assert.equal(JobEndpoints.matches(url), true);
+  assert.equal(JobEndpoints.getJobId(url), "3901234567");
+
+  const found = JobEndpoints.extract(url, response);
+  assert.deepEqual(counts(found), [{ jobId: "3901234567", views: 1234, applies: 87 }]);
+  assert.equal(found[0].details.title, "Senior Frontend Engineer");
+  assert.equal(found[0].details.company, "Example GmbH");
+  assert.equal(found[0].details.applyMethod, "easy_apply");
+});
+
+test("normalized jobPostings response without a query string", () => {
+  const JobEndpoints = loadEndpoints();
+  const { url, response } = loadFixture("endpoints/job-posting-normalized");
+
+  assert.equal(JobEndpoints.getJobId(url), "3901234568");
+  const found = JobEndpoints.extract(url, response);
+  assert.deepEqual(counts(found), [{ jobId: "3901234568", views: 310, applies: 12 }]);
+  assert.equal(found[0].details.title, "Data Analyst");
+});
+
+test("batch jobPostings response", () => {
+  const JobEndpoints = loadEndpoints();
+  const { url, response } = loadFixture("endpoints/job-postings-batch");
+
+  assert.equal(JobEndpoints.matches(url), true);
+  assert.equal(JobEndpoints.getJobId(url), null);
+  assert.deepEqual(counts(JobEndpoints.extract(url, response)), [
+    { jobId: "3901230001", views: 540, applies: 61 },
+    { jobId: "3901230002", views: 88, applies: 0 },
+  ]);
+});
+
+test("GraphQL job cards response", () => {
+  const JobEndpoints = loadEndpoints();
+  const { url, response } = loadFixture("endpoints/graphql-job-cards");
+
+  assert.equal(JobEndpoints.matches(url), true);
+  const found = JobEndpoints.extract(url, response);
+  assert.deepEqual(counts(found), [
+    { jobId: "3901240001", views: 2048, applies: 312 },
+    { jobId: "3901240002", views: 97, applies: null },
+  ]);
+  assert.equal(found[0].details.title, "Product Designer");
+});
+
+test("GraphQL job details response with counts on a section", () => {
+  const JobEndpoints = loadEndpoints();
+  const { url, response } = loadFixture("endpoints/graphql-job-details");
+
+  const found = JobEndpoints.extract(url, response);
+  assert.deepEqual(counts(found), [{ jobId: "3901250001", views: 4410, applies: 1502 }]);
+  assert.equal(found[0].details.title, "Staff Software Engineer");
+  assert.equal(found[0].details.reposted, true);
+});
+
+test("unrelated endpoints and empty bodies are ignored", () => {
+  const JobEndpoints = loadEndpoints();
+
+  assert.equal(JobEndpoints.matches("https://www.linkedin.com/voyager/api/feed/updatesV2?count=10"), false);
+  assert.equal(JobEndpoints.matches("https://www.linkedin.com/voyager/api/graphql?queryId=voyagerFeedDashMainFeed.123"), false);
+  assert.equal(JobEndpoints.matches(null), false);
+  assert.equal(JobEndpoints.extract("https://www.linkedin.com/voyager/api/feed/updatesV2", { data: { views: 1 } }).length, 0);
+  assert.equal(JobEndpoints.extract(loadFixture("endpoints/job-posting").url, null).length, 0);
+  assert.equal(JobEndpoints.extract(loadFixture("endpoints/job-posting").url, { data: { title: "No counts" } }).length, 0);
+});
+
+test("registered endpoints take precedence", () => {
+  const JobEndpoints = loadEndpoints();
+  const url = "https://www.linkedin.com/voyager/api/jobs/jobPostings/42?custom=1";
+
+  JobEndpoints.register({
+    matches: (href) => href.includes("custom=1"),
+    extract: (href, payload) => [{ jobId: "42", views: payload.v, applies: payload.a, details: null }],
+  });
+
+  assert.deepEqual(counts(JobEndpoints.extract(url, { v: 5, a: 1 })), [{ jobId: "42", views: 5, applies: 1 }]);
+  assert.throws(() => JobEndpoints.register({ matches: () => true }));
+});
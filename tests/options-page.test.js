@@ -0,0 +1,133 @@
+// The options page managing what the CDP build has no popup for
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { IDBFactory, IDBKeyRange } = require("fake-indexeddb");
+const { createFakeChrome, createContentChrome, loadServiceWorker, delay } = require("./helpers/fake-chrome");
+const { openExtensionPage } = require("./helpers/extension-page");
+const { checkAccessibility } = require("./helpers/axe");
+
+const ROOT = path.join(__dirname, "..");
+const CDP_DIR = path.join(ROOT, "Linkedin Job Stats (CDP)");
+const STANDARD_DIR = path.join(ROOT, "Linkedin Job Stats");
+const SETTLE_MS = 50;
+
+async function openOptions(t, dir, before = async () => {}) {
+  const chrome = createFakeChrome();
+  loadServiceWorker(path.join(dir, "background.js"), chrome, { indexedDB: new IDBFactory(), IDBKeyRange });
+  await before(createContentChrome(chrome, 1));
+  const page = await openExtensionPage({ dir, page: "options.html", chrome });
+  t.after(() => page.close());
+  return { chrome, page };
+}
+
+function click(page, selector) {
+  page.document.querySelector(selector).click();
+  return delay(SETTLE_MS);
+}
+
+function ruleTexts(page) {
+  return Array.from(page.document.querySelectorAll("#alert-rules li span"), (item) => item.textContent);
+}
+
+test("alert rules are added and deleted on the CDP options page", async (t) => {
+  const { chrome, page } = await openOptions(t, CDP_DIR);
+  const document = page.document;
+  assert.equal(document.querySelector("[data-without-popup]").hidden, false);
+
+  document.getElementById("alert-value").value = "100";
+  document.getElementById("alert-job").value = "abc";
+  await click(page, "#alert-add");
+  assert.equal(page.text("#alert-status"), "Job ID must be numeric");
+  assert.deepEqual(ruleTexts(page), []);
+
+  document.getElementById("alert-job").value = "";
+  await click(page, "#alert-add");
+  document.getElementById("alert-type").value = "jumps";
+  document.getElementById("alert-value").value = "50";
+  document.getElementById("alert-job").value = "3901234567";
+  await click(page, "#alert-add");
+
+  assert.deepEqual(ruleTexts(page), [
+    "Applicants cross 100 (all jobs)",
+    "Applicants jump more than 50% in a day (job 3901234567)",
+  ]);
+  assert.equal((await chrome.storage.local.get(["alertRules"])).alertRules.length, 2);
+
+  await click(page, "#alert-rules li:first-child .remove-btn");
+  assert.deepEqual(ruleTexts(page), ["Applicants jump more than 50% in a day (job 3901234567)"]);
+  assert.deepEqual(await checkAccessibility(document.body), []);
+  assert.deepEqual(page.errors, []);
+});
+
+test("jobs tracked from the panel are grouped by status on the CDP options page", async (t) => {
+  const { page } = await openOptions(t, CDP_DIR, async (tab) => {
+    await tab.runtime.sendMessage({ type: "SET_JOB_APPLICATION", jobId: "701", status: "applied", note: "Referred by Sam" });
+    await tab.runtime.sendMessage({ type: "SET_JOB_APPLICATION", jobId: "702", status: "interviewing" });
+    await delay(5); // Newest update first
+    await tab.runtime.sendMessage({ type: "SET_JOB_APPLICATION", jobId: "703", status: "applied" });
+  });
+
+  const groups = Array.from(page.document.querySelectorAll(".pipeline-group"), (group) => ({
+    heading: group.querySelector("h2").textContent,
+    jobs: Array.from(group.querySelectorAll("li"), (item) => item.textContent),
+  }));
+  assert.deepEqual(groups, [
+    { heading: "Applied (2)", jobs: ["Job 703 · applied at N/A applicants", "Job 701 · applied at N/A applicantsReferred by Sam"] },
+    { heading: "Interviewing (1)", jobs: ["Job 702"] },
+  ]);
+  assert.equal(page.document.getElementById("pipeline-status").hidden, true);
+  assert.deepEqual(await checkAccessibility(page.document.body), []);
+});
+
+test("watched jobs are listed, refreshed and dropped on the CDP options page", async (t) => {
+  const { page } = await openOptions(t, CDP_DIR, async (tab) => {
+    await tab.runtime.sendMessage({ type: "WATCH_JOB", jobId: "801" });
+  });
+  const items = () => Array.from(page.document.querySelectorAll("#watchlist li"), (item) => item.textContent);
+
+  assert.deepEqual(items(), ["Job 801No stats yetWaiting for first check×"]);
+  assert.equal(page.text("#watchlist-status"), "Checked every hour through an open LinkedIn tab.");
+
+  await click(page, "#watchlist-refresh");
+  assert.equal(page.text("#watchlist-status"), "Refresh failed: Open a LinkedIn tab to refresh watched jobs.");
+  assert.equal(page.document.getElementById("watchlist-refresh").disabled, false);
+  assert.deepEqual(await checkAccessibility(page.document.body), []);
+
+  await click(page, "#watchlist .remove-btn");
+  assert.deepEqual(items(), []);
+  assert.equal(page.document.getElementById("watchlist-refresh").disabled, true);
+  assert.deepEqual(page.errors, []);
+});
+
+// The file chooser cannot be driven in jsdom, so the chosen file is set on the input
+function chooseFile(page, name, text) {
+  const input = page.document.getElementById("import-input");
+  Object.defineProperty(input, "files", { configurable: true, value: [{ name, text: async () => text }] });
+  input.dispatchEvent(new page.window.Event("change"));
+  return delay(SETTLE_MS);
+}
+
+test("an exported file is imported from the options page in both builds", async (t) => {
+  for (const dir of [STANDARD_DIR, CDP_DIR]) {
+    const { page } = await openOptions(t, dir);
+    const csv = ["jobId,observedAt,views,applies", "901,2024-06-10T12:00:00.000Z,10,2", "abc,2024-06-10T12:00:00.000Z,10,2"].join("\n");
+
+    await chooseFile(page, "history.csv", csv);
+    assert.match(page.text("#import-report"), /^Imported 1 observations into 1 jobs \(0 duplicates skipped, 1 rows rejected\)/);
+    assert.equal(page.document.querySelectorAll("#import-report li").length, 1);
+
+    await chooseFile(page, "history.json", "{");
+    assert.match(page.text("#import-report"), /^Import failed: /);
+    assert.deepEqual(page.errors, []);
+  }
+});
+
+test("the standard build keeps these lists in its popup", async (t) => {
+  const { page } = await openOptions(t, STANDARD_DIR);
+
+  for (const section of page.document.querySelectorAll("[data-without-popup]")) {
+    assert.equal(section.hidden, true);
+  }
+  assert.deepEqual(page.errors, []);
+});
@@ -0,0 +1,175 @@
+// Keyboard shortcuts forwarded by the service workers, and moving the panel with arrow keys
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { IDBFactory, IDBKeyRange } = require("fake-indexeddb");
+const { createFakeChrome, loadServiceWorker, loadSharedModules, delay } = require("./helpers/fake-chrome");
+const { loadFixture, openJobsPage } = require("./helpers/jobs-page");
+
+const ROOT = path.join(__dirname, "..");
+const URL = "https://www.linkedin.com/jobs/view/3901234567/";
+
+function loadPanelCommands() {
+  return loadSharedModules(["panel-commands.js"]).PanelCommands;
+}
+
+function stubClipboard(page) {
+  const copied = [];
+  Object.defineProperty(page.window.navigator, "clipboard", {
+    value: { writeText: async (text) => copied.push(text) },
+  });
+  return copied;
+}
+
+test("copied text carries the title, counts, job ID and link", () => {
+  const PanelCommands = loadPanelCommands();
+  const text = PanelCommands.formatJobText(
+    { jobId: "3901234567", views: 1234, applies: 87 },
+    { details: { title: "Senior Frontend Engineer", company: "Acme" } }
+  );
+
+  assert.equal(text, [
+    "Senior Frontend Engineer · Acme",
+    "Applicants: 87 · Views: 1,234",
+    "Job ID: 3901234567",
+    "https://www.linkedin.com/jobs/view/3901234567/",
+  ].join("\n"));
+});
+
+test("standard build shortcuts copy the open job and add it to the watchlist", async (t) => {
+  const buildDir = path.join(ROOT, "Linkedin Job Stats");
+  const fixture = loadFixture("endpoints/job-posting");
+  const chrome = createFakeChrome();
+  loadServiceWorker(path.join(buildDir, "background.js"), chrome, { indexedDB: new IDBFactory(), IDBKeyRange });
+  const page = openJobsPage({ dir: buildDir, chrome, url: URL, fixtures: [fixture] });
+  t.after(() => page.close());
+  const copied = stubClipboard(page);
+  await delay(1500);
+  await page.xhr(fixture.url);
+  await delay(100);
+
+  chrome.commands.onCommand.dispatch("copy-job-stats", { id: 1 });
+  await delay(20);
+  assert.match(copied[0], /^Senior Frontend Engineer/);
+  assert.match(copied[0], /Applicants: 87 · Views: 1,234\nJob ID: 3901234567/);
+  assert.equal(page.panel().querySelector(".panel-status").textContent, "Copied job ID and stats");
+
+  chrome.commands.onCommand.dispatch("toggle-watch", { id: 1 });
+  await delay(100);
+  const { entries } = await page.window.chrome.runtime.sendMessage({ type: "GET_WATCHLIST" });
+  assert.deepEqual(entries.map((entry) => entry.jobId), ["3901234567"]);
+  assert.equal(page.panel().querySelector(".watch-btn").getAttribute("aria-pressed"), "true");
+  assert.deepEqual(page.errors, []);
+});
+
+test("the CDP build's watch shortcut adds the open job to the watchlist", async (t) => {
+  const buildDir = path.join(ROOT, "Linkedin Job Stats (CDP)");
+  const chrome = createFakeChrome({ tabs: [{ id: 1, url: URL }] });
+  loadServiceWorker(path.join(buildDir, "background.js"), chrome, { indexedDB: new IDBFactory(), IDBKeyRange });
+  const page = openJobsPage({ dir: buildDir, chrome, url: URL });
+  t.after(() => page.close());
+  await delay(50);
+  const button = page.panel().querySelector(".watch-btn");
+  assert.equal(button.disabled, false);
+
+  chrome.commands.onCommand.dispatch("toggle-watch", { id: 1 });
+  await delay(100);
+  const { entries } = await page.window.chrome.runtime.sendMessage({ type: "GET_WATCHLIST" });
+  assert.deepEqual(entries.map((entry) => entry.jobId), ["3901234567"]);
+  assert.equal(button.getAttribute("aria-pressed"), "true");
+
+  button.click();
+  await delay(100);
+  assert.deepEqual((await page.window.chrome.runtime.sendMessage({ type: "GET_WATCHLIST" })).entries, []);
+  assert.equal(page.panel().querySelector(".panel-status").textContent, "Stopped watching this job");
+  assert.deepEqual(page.errors, []);
+});
+
+test("CDP build shortcuts collapse, hide and show the panel, focused for the keyboard", async (t) => {
+  const buildDir = path.join(ROOT, "Linkedin Job Stats (CDP)");
+  const chrome = createFakeChrome({ tabs: [{ id: 1, url: URL }] });
+  loadServiceWorker(path.join(buildDir, "background.js"), chrome, { indexedDB: new IDBFactory(), IDBKeyRange });
+  const page = openJobsPage({ dir: buildDir, chrome, url: URL });
+  t.after(() => page.close());
+  await delay(50);
+
+  chrome.commands.onCommand.dispatch("collapse-panel", { id: 1 });
+  await delay(20);
+  assert.ok(page.panel().classList.contains("collapsed"));
+  chrome.commands.onCommand.dispatch("collapse-panel", { id: 1 });
+  await delay(20);
+  assert.equal(page.panel().classList.contains("collapsed"), false);
+
+  chrome.commands.onCommand.dispatch("toggle-panel", { id: 1 });
+  await delay(400);
+  assert.equal(page.panel(), null);
+  chrome.commands.onCommand.dispatch("toggle-panel", { id: 1 });
+  await delay(20);
+  assert.equal(page.panelRoot().activeElement, page.panel());
+
+  // Pressed on another site, the shortcut still hides the panel everywhere
+  chrome.commands.onCommand.dispatch("toggle-panel", { id: 7 });
+  await delay(400);
+  assert.equal(chrome.storage.session.data.panelDismissed, true);
+  assert.equal(page.panel(), null);
+});
+
+test("shortcut confirmations show under the collapsed pill, and on the toolbar button while dismissed", async (t) => {
+  const buildDir = path.join(ROOT, "Linkedin Job Stats (CDP)");
+  const chrome = createFakeChrome({ tabs: [{ id: 1, url: URL }] });
+  loadServiceWorker(path.join(buildDir, "background.js"), chrome, { indexedDB: new IDBFactory(), IDBKeyRange });
+  const page = openJobsPage({ dir: buildDir, chrome, url: URL });
+  t.after(() => page.close());
+  await delay(50);
+
+  chrome.commands.onCommand.dispatch("collapse-panel", { id: 1 });
+  chrome.commands.onCommand.dispatch("toggle-watch", { id: 1 });
+  await delay(100);
+  const status = page.panel().querySelector(".panel-status");
+  assert.equal(status.textContent, "Watching this job");
+  // jsdom does not apply the shadow root's styles, so check that the collapsed rule leaves it shown
+  const [, hiddenWhenCollapsed] = page.panelRoot().querySelector("style").textContent.match(/\.panel\.collapsed > ([^{]+)\{/);
+  assert.equal(status.matches(hiddenWhenCollapsed.trim()), false);
+
+  chrome.commands.onCommand.dispatch("toggle-panel", { id: 1 });
+  await delay(400);
+  chrome.commands.onCommand.dispatch("toggle-watch", { id: 1 });
+  await delay(100);
+  assert.equal(chrome.badges.get(1), "✓");
+  assert.equal(chrome.titles.get(1), "LinkedIn Job Stats: show or hide the panel\nStopped watching this job");
+
+  chrome.commands.onCommand.dispatch("copy-job-stats", { id: 1 });
+  await delay(50);
+  assert.equal(chrome.badges.get(1), "!");
+  assert.equal(chrome.titles.get(1), "LinkedIn Job Stats: show or hide the panel\nNo job stats to copy yet");
+  assert.deepEqual(page.errors, []);
+});
+
+test("arrow keys nudge the focused panel and the position is saved", async (t) => {
+  const buildDir = path.join(ROOT, "Linkedin Job Stats (CDP)");
+  const chrome = createFakeChrome({ tabs: [{ id: 1, url: URL }] });
+  loadServiceWorker(path.join(buildDir, "background.js"), chrome, { indexedDB: new IDBFactory(), IDBKeyRange });
+  const page = openJobsPage({ dir: buildDir, chrome, url: URL });
+  t.after(() => page.close());
+  await delay(50);
+
+  const popup = page.panel();
+  const press = (key, shiftKey = false) => {
+    popup.dispatchEvent(new page.window.KeyboardEvent("keydown", { key, shiftKey, bubbles: true }));
+  };
+  popup.focus();
+  press("ArrowRight", true);
+  press("ArrowDown");
+  press("ArrowDown");
+  press("ArrowUp");
+  await delay(20);
+
+  // From the default corner, 80px down; jsdom lays nothing out, so the right edge reads as 0
+  assert.deepEqual([popup.style.left, popup.style.top], ["50px", "90px"]);
+  assert.deepEqual({ ...chrome.storage.local.data.panelPositions["1000x800"] }, { left: 50, top: 90 });
+
+  // Keys typed into the panel's controls are left alone
+  const note = popup.querySelector(".application-note");
+  note.dispatchEvent(new page.window.KeyboardEvent("keydown", { key: "ArrowLeft", bubbles: true }));
+  assert.equal(popup.style.left, "50px");
+});
@@ -0,0 +1,126 @@
+// The panel's saved position, collapsed pill and session dismissal, across pages of the CDP build
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { IDBFactory, IDBKeyRange } = require("fake-indexeddb");
+const { createFakeChrome, loadServiceWorker, loadSharedModules, delay } = require("./helpers/fake-chrome");
+const { loadFixture, openJobsPage } = require("./helpers/jobs-page");
+
+const ROOT = path.join(__dirname, "..");
+const BUILD_DIR = path.join(ROOT, "Linkedin Job Stats (CDP)");
+const URL = "https://www.linkedin.com/jobs/view/3901234567/";
+const SETTLE_MS = 600;
+
+function loadPanelState(chrome) {
+  return loadSharedModules(["panel-state.js"], { chrome }).PanelState;
+}
+
+function startWorker() {
+  const chrome = createFakeChrome({ tabs: [{ id: 1, url: URL }, { id: 2, url: URL }] });
+  loadServiceWorker(path.join(BUILD_DIR, "background.js"), chrome, { indexedDB: new IDBFactory(), IDBKeyRange });
+  return chrome;
+}
+
+async function openPage(t, chrome, tabId) {
+  const page = openJobsPage({ dir: BUILD_DIR, chrome, tabId, url: URL });
+  t.after(() => page.close());
+  await delay(50);
+  return page;
+}
+
+function pointer(page, target, type, x, y, pointerType = "mouse") {
+  target.dispatchEvent(new page.window.PointerEvent(type, { bubbles: true, pointerId: 1, pointerType, isPrimary: true, clientX: x, clientY: y }));
+}
+
+test("window sizes round to shared keys and saved positions stay on screen", async () => {
+  const chrome = createFakeChrome();
+  const PanelState = loadPanelState(chrome);
+
+  assert.equal(PanelState.getViewportKey(1366, 768), "1400x800");
+  assert.equal(PanelState.getViewportKey(1420, 790), "1400x800");
+  assert.deepEqual(
+    { ...PanelState.clampPosition({ left: 1200, top: -5 }, { width: 1024, height: 768 }, { width: 240, height: 300 }) },
+    { left: 784, top: 0 }
+  );
+
+  for (let i = 0; i < 22; i++) {
+    await PanelState.savePosition(`${i}x0`, { left: i, top: i });
+  }
+  await PanelState.savePosition("5x0", { left: 50, top: 50 });
+  const keys = Object.keys(chrome.storage.local.data.panelPositions);
+  assert.equal(keys.length, 20);
+  assert.equal(keys.includes("0x0"), false, "oldest sizes are dropped first");
+  assert.equal(keys[keys.length - 1], "5x0");
+});
+
+test("a panel dragged by touch opens where it was left in the next page of the same size", async (t) => {
+  const chrome = startWorker();
+  const first = await openPage(t, chrome, 1);
+  const popup = first.panel();
+
+  pointer(first, popup, "pointerdown", 10, 10, "touch");
+  assert.ok(popup.hasPointerCapture(1));
+  pointer(first, popup, "pointermove", 310, 210, "touch");
+  pointer(first, popup, "pointerup", 310, 210, "touch");
+  await delay(20);
+  assert.deepEqual({ ...chrome.storage.local.data.panelPositions }, { "1000x800": { left: 300, top: 200 } });
+
+  const second = await openPage(t, chrome, 2);
+  assert.deepEqual([second.panel().style.left, second.panel().style.top], ["300px", "200px"]);
+});
+
+test("the collapsed pill shows the applicant count and is kept across pages", async (t) => {
+  const chrome = startWorker();
+  const fixture = loadFixture("endpoints/job-posting");
+  const first = await openPage(t, chrome, 1);
+  chrome.debugger.respond(1, "req-posting", fixture.url, fixture.response);
+  await delay(SETTLE_MS);
+
+  const collapseButton = first.panel().querySelector(".collapse-btn");
+  collapseButton.focus();
+  collapseButton.click();
+  await delay(20);
+  assert.ok(first.panel().classList.contains("collapsed"));
+  assert.equal(first.panel().querySelector(".pill").textContent, "87 applicants");
+  assert.equal(first.panelRoot().activeElement, first.panel().querySelector(".pill"), "focus moves to the pill");
+
+  first.panelRoot().activeElement.dispatchEvent(new first.window.KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+  await delay(20);
+  assert.equal(first.panel().classList.contains("collapsed"), false);
+  assert.equal(first.panelRoot().activeElement, collapseButton, "and back to the collapse button");
+  collapseButton.click();
+  await delay(20);
+
+  const second = await openPage(t, chrome, 2);
+  assert.ok(second.panel().classList.contains("collapsed"));
+
+  second.panel().querySelector(".pill").click();
+  await delay(20);
+  assert.equal(first.panel().classList.contains("collapsed"), false, "expanding follows in other tabs");
+});
+
+test("a dismissed panel stays closed in every tab until the toolbar button shows it again", async (t) => {
+  const chrome = startWorker();
+  const fixture = loadFixture("endpoints/job-posting");
+  const first = await openPage(t, chrome, 1);
+  const second = await openPage(t, chrome, 2);
+
+  first.panel().querySelector(".close-btn").click();
+  await delay(400); // Past the close animation
+  assert.equal(chrome.storage.session.data.panelDismissed, true);
+  assert.equal(first.panel(), null);
+  assert.equal(second.panel(), null);
+
+  // New stats and new pages do not bring it back
+  chrome.debugger.respond(1, "req-posting", fixture.url, fixture.response);
+  await delay(SETTLE_MS);
+  assert.equal(first.panel(), null);
+  const third = await openPage(t, chrome, 3);
+  assert.equal(third.panel(), null);
+
+  chrome.action.onClicked.dispatch({ id: 1 });
+  await delay(50);
+  assert.match(first.panelText(), /Applicants:87/, "reopens with the stats that arrived while hidden");
+  assert.ok(second.panel());
+  assert.deepEqual(first.errors, []);
+});
@@ -0,0 +1,85 @@
+// The standard build's toolbar popup, talking to its background worker
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { IDBFactory, IDBKeyRange } = require("fake-indexeddb");
+const { createFakeChrome, createContentChrome, loadServiceWorker, delay } = require("./helpers/fake-chrome");
+const { openExtensionPage } = require("./helpers/extension-page");
+
+const BUILD_DIR = path.join(__dirname, "..", "Linkedin Job Stats");
+const TAB = { id: 1, url: "https://www.linkedin.com/jobs/view/501/" };
+
+function startWorker() {
+  const chrome = createFakeChrome({ tabs: [TAB] });
+  loadServiceWorker(path.join(BUILD_DIR, "background.js"), chrome, { indexedDB: new IDBFactory(), IDBKeyRange });
+  return chrome;
+}
+
+test("a job captured without view or applicant counts shows them as N/A", async (t) => {
+  const chrome = startWorker();
+  await createContentChrome(chrome, TAB.id).runtime.sendMessage({
+    type: "STORE_JOB_STATS",
+    data: { jobId: "501", views: null, applies: null, timestamp: Date.now() },
+  });
+
+  const popup = await openExtensionPage({ dir: BUILD_DIR, page: "popup.html", chrome, tabs: [TAB] });
+  t.after(() => popup.close());
+
+  assert.deepEqual(popup.errors, []);
+  assert.equal(popup.text("#status"), "Job Stats Found!");
+  assert.equal(popup.text("#views-count"), "N/A");
+  assert.equal(popup.text("#applies-count"), "N/A");
+  assert.equal(popup.text("#job-id"), "501");
+});
+
+test("the popup hears from the worker when the panel is dismissed, and shows it again in every tab", async (t) => {
+  const chrome = startWorker();
+  const tab = createContentChrome(chrome, TAB.id);
+  const tabMessages = [];
+  tab.runtime.onMessage.addListener((message) => tabMessages.push(message));
+
+  const popup = await openExtensionPage({ dir: BUILD_DIR, page: "popup.html", chrome, tabs: [TAB] });
+  t.after(() => popup.close());
+  const showPanel = popup.document.getElementById("show-panel");
+  assert.equal(showPanel.disabled, true);
+
+  await tab.runtime.sendMessage({ type: "SET_PANEL_DISMISSED", dismissed: true });
+  await delay(20);
+  assert.equal(showPanel.disabled, false);
+  assert.equal(popup.text("#panel-status"), "Hidden for this browser session.");
+
+  showPanel.click();
+  await delay(20);
+  assert.equal(chrome.storage.session.data.panelDismissed, false);
+  assert.equal(showPanel.disabled, true);
+  assert.deepEqual(tabMessages.map((message) => message.dismissed), [true, false]);
+  assert.deepEqual(popup.errors, []);
+});
+
+test("the popup lists watched jobs and adds alert rules for the open job through the shared lists", async (t) => {
+  const chrome = startWorker();
+  const tab = createContentChrome(chrome, TAB.id);
+  await tab.runtime.sendMessage({ type: "STORE_JOB_STATS", data: { jobId: "501", views: 40, applies: 12, timestamp: Date.now() } });
+  await tab.runtime.sendMessage({ type: "WATCH_JOB", jobId: "501" });
+
+  const popup = await openExtensionPage({ dir: BUILD_DIR, page: "popup.html", chrome, tabs: [TAB] });
+  t.after(() => popup.close());
+  assert.deepEqual(Array.from(popup.document.querySelectorAll("#watchlist li"), (item) => item.textContent), [
+    "Job 50112 applicants · 40 viewsWaiting for first check×",
+  ]);
+
+  popup.document.getElementById("alert-value").value = "20";
+  popup.document.getElementById("alert-scope").value = "current";
+  popup.document.getElementById("alert-add").click();
+  await delay(50);
+  assert.equal(popup.text("#alert-status"), "Added: Applicants cross 20 (job 501).");
+  assert.deepEqual(Array.from(popup.document.querySelectorAll("#alert-rules li span"), (item) => item.textContent), [
+    "Applicants cross 20 (job 501)",
+  ]);
+  assert.equal(popup.document.getElementById("alert-value").value, "");
+
+  await tab.runtime.sendMessage({ type: "UNWATCH_JOB", jobId: "501" });
+  await delay(50);
+  assert.equal(popup.document.querySelectorAll("#watchlist li").length, 0);
+  assert.deepEqual(popup.errors, []);
+});
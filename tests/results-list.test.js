@@ -0,0 +1,109 @@
+// Sorting and filtering the search results cards by their stored stats
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { JSDOM } = require("jsdom");
+
+// [jobId, views, applies]; a job without counts has not been seen yet
+const JOBS = [["1", 1000, 50], ["2", 200, 30], ["3", null, null], ["4", 4000, 20]];
+
+function record(jobId, views, applies) {
+  return views === null ? null : { jobId, observations: [{ timestamp: 1, views, applies }] };
+}
+
+// A results list with one card per job, and the panel the controls are rendered into
+function openResultsList() {
+  const cards = JOBS.map(([jobId]) => `<li data-occludable-job-id="${jobId}"><div class="job-card-container"></div></li>`);
+  const { window } = new JSDOM(`<!DOCTYPE html><ul class="results">${cards.join("")}</ul><div class="panel"><div class="footer"></div></div>`, {
+    runScripts: "outside-only",
+  });
+  const records = Object.fromEntries(JOBS.map(([jobId, views, applies]) => [jobId, record(jobId, views, applies)]).filter(([, value]) => value));
+  const saved = {};
+  const panel = window.document.querySelector(".panel");
+
+  window.JobPage = { isResultsPage: () => true };
+  window.JobStatsPanel = { getPopup: () => panel };
+  window.chrome = {
+    runtime: { sendMessage: async () => ({ records }) },
+    storage: { local: { get: (keys, callback) => callback({}), set: (items) => Object.assign(saved, items) } },
+  };
+  window.eval(fs.readFileSync(path.join(__dirname, "..", "shared", "results-list.js"), "utf8"));
+  window.ResultsControls.render(panel);
+
+  return {
+    window,
+    panel,
+    saved,
+    ResultsControls: window.ResultsControls,
+    apply() {
+      window.ResultsControls.apply(window.CardBadges.findCards(), records);
+    },
+    order() {
+      return Array.from(window.document.querySelectorAll(".results > li"), (card) => card.getAttribute("data-occludable-job-id"));
+    },
+    shown() {
+      return this.order().filter((jobId) => {
+        return !window.document.querySelector(`[data-occludable-job-id="${jobId}"]`).classList.contains("linkedin-job-stats-hidden");
+      });
+    },
+    type(selector, value) {
+      const input = panel.querySelector(selector);
+      input.value = value;
+      input.dispatchEvent(new window.Event(selector === ".results-sort" ? "change" : "input"));
+    },
+  };
+}
+
+test("cards sort by applicants, views or ratio with unseen jobs last, and go back to LinkedIn's order", () => {
+  const list = openResultsList();
+  list.apply();
+
+  list.ResultsControls.options.sortBy = "applies";
+  list.apply();
+  assert.deepEqual(list.order(), ["4", "2", "1", "3"]);
+
+  list.ResultsControls.options.sortBy = "views";
+  list.apply();
+  assert.deepEqual(list.order(), ["2", "1", "4", "3"]);
+
+  list.ResultsControls.options.sortBy = "ratio";
+  list.apply();
+  assert.deepEqual(list.order(), ["4", "1", "2", "3"], "0.5%, 5%, 15%");
+
+  list.ResultsControls.options.sortBy = "";
+  list.apply();
+  assert.deepEqual(list.order(), ["1", "2", "3", "4"]);
+});
+
+test("cards over the applicants, views or ratio threshold are hidden, unseen jobs never are", () => {
+  const list = openResultsList();
+
+  list.ResultsControls.options.maxApplies = 40;
+  list.apply();
+  assert.deepEqual(list.shown(), ["2", "3", "4"]);
+
+  list.ResultsControls.options.maxViews = 3000;
+  list.apply();
+  assert.deepEqual(list.shown(), ["2", "3"]);
+
+  Object.assign(list.ResultsControls.options, { maxApplies: null, maxViews: null, maxRatio: 0.1 });
+  list.apply();
+  assert.deepEqual(list.shown(), ["1", "3", "4"]);
+});
+
+test("thresholds typed in the panel are saved, the ratio as a fraction of the percentage typed", async () => {
+  const list = openResultsList();
+
+  list.type(".results-max-ratio", "2.5");
+  list.type(".results-max-views", "-3");
+  list.type(".results-sort", "views");
+  await new Promise((resolve) => setTimeout(resolve, 10));
+
+  assert.deepEqual({ ...list.saved.resultsControls }, { sortBy: "views", maxApplies: null, maxViews: null, maxRatio: 0.025 });
+  assert.deepEqual(list.shown(), ["4", "3"]);
+
+  list.panel.querySelector(".results-max-ratio").value = "";
+  list.ResultsControls.syncInputs();
+  assert.equal(list.panel.querySelector(".results-max-ratio").value, "2.5");
+});
@@ -0,0 +1,86 @@
+// Settings validation and migration, and the panel following changes from the options page
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { IDBFactory, IDBKeyRange } = require("fake-indexeddb");
+const { createFakeChrome, loadServiceWorker, loadSharedModules, delay } = require("./helpers/fake-chrome");
+const { loadFixture, openJobsPage } = require("./helpers/jobs-page");
+
+const ROOT = path.join(__dirname, "..");
+
+function loadSettings(chrome = createFakeChrome()) {
+  return loadSharedModules(["settings.js"], { chrome, console }).JobStatsSettings;
+}
+
+test("stored values that are unknown, invalid or conflicting fall back to defaults", () => {
+  const JobStatsSettings = loadSettings();
+  const settings = JobStatsSettings.normalize({
+    version: 1,
+    panelCorner: "middle",
+    panelOffsetX: 40,
+    cacheTtlMinutes: 0,
+    shownStats: ["jobId", "views", "salary"],
+    badgeLow: 900,
+    badgeHigh: 100,
+    theme: "dark",
+  });
+
+  assert.equal(settings.panelCorner, "top-right");
+  assert.equal(settings.panelOffsetX, 40);
+  assert.equal(settings.cacheTtlMinutes, 5);
+  assert.equal(settings.shownStats.length, JobStatsSettings.STATS.length);
+  assert.deepEqual([settings.badgeLow, settings.badgeHigh], [50, 500]);
+  assert.equal("theme" in settings, false);
+});
+
+test("updates are validated before anything is saved", async () => {
+  const chrome = createFakeChrome();
+  const JobStatsSettings = loadSettings(chrome);
+
+  const saved = await JobStatsSettings.update({ panelOffsetY: "120", shownStats: ["jobId", "views"] });
+  assert.equal(saved.panelOffsetY, 120);
+  assert.deepEqual([...saved.shownStats], ["views", "jobId"], "kept in panel order");
+  assert.equal(chrome.storage.sync.data.settings.version, JobStatsSettings.VERSION);
+
+  await assert.rejects(JobStatsSettings.update({ panelDelay: 2.5 }), /Panel update delay must be a whole number from 0 to 2000/);
+  await assert.rejects(JobStatsSettings.update({ badgeLow: 600 }), /green badge limit/);
+  await assert.rejects(JobStatsSettings.update({ fontSize: 12 }), /Unknown setting/);
+  assert.equal((await JobStatsSettings.load()).badgeLow, 50);
+});
+
+test("the worker moves badge thresholds kept in local storage into the synced settings", async () => {
+  const chrome = createFakeChrome();
+  await chrome.storage.local.set({ badgeThresholds: { low: 10, high: 40 } });
+  loadServiceWorker(path.join(ROOT, "Linkedin Job Stats", "background.js"), chrome, { indexedDB: new IDBFactory(), IDBKeyRange });
+  await delay(20);
+
+  const { settings } = chrome.storage.sync.data;
+  assert.equal(settings.version, 1);
+  assert.deepEqual([settings.badgeLow, settings.badgeHigh], [10, 40]);
+  assert.equal("badgeThresholds" in chrome.storage.local.data, false);
+});
+
+test("an open panel moves and drops hidden stats as soon as settings change", async (t) => {
+  const buildDir = path.join(ROOT, "Linkedin Job Stats (CDP)");
+  const url = "https://www.linkedin.com/jobs/view/3901234567/";
+  const fixture = loadFixture("endpoints/job-posting");
+  const chrome = createFakeChrome({ tabs: [{ id: 1, url }] });
+  loadServiceWorker(path.join(buildDir, "background.js"), chrome, { indexedDB: new IDBFactory(), IDBKeyRange });
+  const page = openJobsPage({ dir: buildDir, chrome, url });
+  t.after(() => page.close());
+  await delay(50);
+
+  chrome.debugger.respond(1, "req-posting", fixture.url, fixture.response);
+  await delay(600);
+  assert.match(page.panelText(), /Views:1,234/);
+
+  const JobStatsSettings = loadSettings(chrome);
+  await JobStatsSettings.update({ panelCorner: "bottom-left", panelOffsetX: 12, shownStats: ["applies", "jobId"] });
+  await delay(20);
+
+  const popup = page.panel();
+  assert.deepEqual([popup.style.left, popup.style.bottom, popup.style.top], ["12px", "80px", "auto"]);
+  assert.doesNotMatch(page.panelText(), /Views:/);
+  assert.match(page.panelText(), /Applicants:87/);
+  assert.deepEqual(page.errors, []);
+});
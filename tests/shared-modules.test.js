@@ -0,0 +1,50 @@
+// Both builds ship identical copies of shared/, and load the modules they need
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { listSharedFiles, findStaleCopies, BUILD_DIRS } = require("../scripts/sync-shared");
+
+function readManifest(dir) {
+  return JSON.parse(fs.readFileSync(path.join(dir, "manifest.json"), "utf8"));
+}
+
+test("build copies match shared/ (run npm run sync-shared)", () => {
+  assert.deepEqual(findStaleCopies(), []);
+});
+
+test("no build keeps its own variant of a shared module", () => {
+  const shared = new Set(listSharedFiles());
+  for (const dir of BUILD_DIRS) {
+    const manifest = readManifest(dir);
+    const contentScripts = manifest.content_scripts.flatMap((entry) => entry.js);
+    for (const file of contentScripts) {
+      assert.ok(fs.existsSync(path.join(dir, file)), `${path.basename(dir)} is missing ${file}`);
+    }
+    // The panel, results list and page helpers come from shared/ in every build
+    for (const file of ["job-page.js", "stats-panel.js", "results-list.js"]) {
+      assert.ok(shared.has(file));
+      assert.ok(contentScripts.includes(file), `${path.basename(dir)} does not load ${file}`);
+    }
+  }
+});
+
+test("service workers only import files that exist", () => {
+  for (const dir of BUILD_DIRS) {
+    const source = fs.readFileSync(path.join(dir, "background.js"), "utf8");
+    const imports = source.match(/importScripts\(([^)]*)\)/)[1].match(/["'][^"']+["']/g).map((name) => name.slice(1, -1));
+    for (const file of imports) {
+      assert.ok(fs.existsSync(path.join(dir, file)), `${path.basename(dir)} imports missing ${file}`);
+    }
+  }
+});
+
+test("the history store only runs in the service workers, in the extension's own origin", () => {
+  for (const dir of BUILD_DIRS) {
+    const manifest = readManifest(dir);
+    const pageFiles = manifest.content_scripts.flatMap((entry) => entry.js)
+      .concat((manifest.web_accessible_resources || []).flatMap((entry) => entry.resources));
+    assert.equal(pageFiles.includes("stats-store.js"), false, `${path.basename(dir)} loads stats-store.js into LinkedIn's origin`);
+    assert.match(fs.readFileSync(path.join(dir, "background.js"), "utf8"), /importScripts\([^)]*stats-store\.js/);
+  }
+});
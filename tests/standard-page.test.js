@@ -0,0 +1,169 @@
+// Replays recorded Voyager responses through the standard build's XHR and fetch interception
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { IDBFactory, IDBKeyRange } = require("fake-indexeddb");
+const { createFakeChrome, loadServiceWorker, delay } = require("./helpers/fake-chrome");
+const { loadFixture, openJobsPage } = require("./helpers/jobs-page");
+
+const BUILD_DIR = path.join(__dirname, "..", "Linkedin Job Stats");
+const INIT_MS = 1500; // Past the content script's 1 s start-up delay and its first round trip
+const SETTLE_MS = 100;
+
+async function openPage(url, fixtureNames = []) {
+  const chrome = createFakeChrome();
+  loadServiceWorker(path.join(BUILD_DIR, "background.js"), chrome, { indexedDB: new IDBFactory(), IDBKeyRange });
+  const page = openJobsPage({
+    dir: BUILD_DIR,
+    chrome,
+    url,
+    fixtures: fixtureNames.map((name) => loadFixture(`endpoints/${name}`)),
+  });
+  await delay(INIT_MS);
+  return { chrome, page };
+}
+
+function getRecord(page, jobId) {
+  return page.window.chrome.runtime.sendMessage({ type: "GET_JOB_RECORD", jobId }).then((response) => response.record);
+}
+
+test("an XHR job posting renders in the panel and is stored", async (t) => {
+  const fixture = loadFixture("endpoints/job-posting");
+  const { chrome, page } = await openPage("https://www.linkedin.com/jobs/view/3901234567/", ["job-posting"]);
+  t.after(() => page.close());
+
+  await page.xhr(fixture.url);
+  await delay(SETTLE_MS);
+
+  const text = page.panelText();
+  assert.match(text, /Senior Frontend Engineer/);
+  assert.match(text, /Views:1,234/);
+  assert.match(text, /Applicants:87/);
+  assert.match(text, /Job ID: 3901234567/);
+
+  const record = await getRecord(page, "3901234567");
+  assert.equal(record.observations.length, 1);
+  assert.equal(record.observations[0].views, 1234);
+  assert.equal(record.observations[0].applies, 87);
+  assert.equal(chrome.badges.get(1), "87");
+  assert.deepEqual(page.errors, []);
+});
+
+test("a fetch of a normalized job posting is captured the same way", async (t) => {
+  const fixture = loadFixture("endpoints/job-posting-normalized");
+  const { page } = await openPage("https://www.linkedin.com/jobs/view/3901234568/", ["job-posting-normalized"]);
+  t.after(() => page.close());
+
+  const response = await page.fetch(fixture.url);
+  assert.equal(response.status, 200);
+  await delay(SETTLE_MS);
+
+  assert.match(page.panelText(), /Applicants:12/);
+  const record = await getRecord(page, "3901234568");
+  assert.equal(record.observations[0].views, 310);
+  assert.deepEqual(page.errors, []);
+});
+
+test("a batch response stores every job but only the open one renders", async (t) => {
+  const fixture = loadFixture("endpoints/job-postings-batch");
+  const { page } = await openPage(
+    "https://www.linkedin.com/jobs/search/?currentJobId=3901230002",
+    ["job-postings-batch"]
+  );
+  t.after(() => page.close());
+
+  await page.xhr(fixture.url);
+  await delay(SETTLE_MS);
+
+  assert.match(page.panelText(), /Platform Engineer/);
+  assert.match(page.panelText(), /Job ID: 3901230002/);
+  assert.equal((await getRecord(page, "3901230001")).observations[0].applies, 61);
+  assert.equal((await getRecord(page, "3901230002")).observations[0].applies, 0);
+  // The third posting came back without counts
+  assert.equal(await getRecord(page, "3901230003"), null);
+  assert.deepEqual(page.errors, []);
+});
+
+test("responses from other endpoints are left alone", async (t) => {
+  const { chrome, page } = await openPage("https://www.linkedin.com/jobs/view/3901234567/");
+  t.after(() => page.close());
+  const url = "https://www.linkedin.com/voyager/api/me";
+  page.server.route(url, { data: { views: 1, applies: 1 } });
+
+  await page.xhr(url);
+  await page.fetch(url);
+  await delay(SETTLE_MS);
+
+  assert.doesNotMatch(page.panelText(), /Applicants:/);
+  assert.equal(await getRecord(page, "3901234567"), null);
+  assert.ok(!chrome.badges.get(1));
+});
+
+test("the panel's watch button adds the open job to the watchlist", async (t) => {
+  const { page } = await openPage("https://www.linkedin.com/jobs/view/3901234567/", ["job-posting"]);
+  t.after(() => page.close());
+  const button = page.panel().querySelector(".watch-btn");
+  assert.equal(button.disabled, false);
+
+  button.click();
+  await delay(SETTLE_MS);
+
+  assert.equal(button.getAttribute("aria-pressed"), "true");
+  const { entries } = await page.window.chrome.runtime.sendMessage({ type: "GET_WATCHLIST" });
+  assert.deepEqual(entries.map((entry) => entry.jobId), ["3901234567"]);
+});
+
+test("the application tracker saves status and note with the counts at that moment", async (t) => {
+  const fixture = loadFixture("endpoints/job-posting");
+  const { page } = await openPage("https://www.linkedin.com/jobs/view/3901234567/", ["job-posting"]);
+  t.after(() => page.close());
+  await page.xhr(fixture.url);
+  await delay(SETTLE_MS);
+
+  const status = page.panel().querySelector(".application-controls .application-status");
+  const note = page.panel().querySelector(".application-controls .application-note");
+  status.value = "applied";
+  status.dispatchEvent(new page.window.Event("change"));
+  note.value = "Referred by Sam";
+  note.dispatchEvent(new page.window.Event("input"));
+  note.dispatchEvent(new page.window.Event("blur"));
+  await delay(SETTLE_MS);
+
+  const { application } = await getRecord(page, "3901234567");
+  assert.equal(application.status, "applied");
+  assert.equal(application.note, "Referred by Sam");
+  assert.deepEqual(
+    application.events.map(({ status: eventStatus, applies, views }) => ({ status: eventStatus, applies, views })),
+    [{ status: "applied", applies: 87, views: 1234 }]
+  );
+  assert.match(page.panel().querySelector(".application-snapshot").textContent, /at 87 applicants · 1,234 views/);
+});
+
+test("an Easy Apply submit request snapshots the counts shown on the page", async (t) => {
+  const posting = loadFixture("endpoints/job-posting");
+  const submit = loadFixture("easy-apply/submit-application");
+  const { page } = await openPage("https://www.linkedin.com/jobs/view/3901234567/", ["job-posting"]);
+  t.after(() => page.close());
+  page.server.route(submit.url, submit.response);
+  await page.xhr(posting.url);
+  await delay(SETTLE_MS);
+
+  await page.xhr(submit.url, { method: submit.method, body: JSON.stringify(submit.requestBody) });
+  await delay(SETTLE_MS);
+
+  const { application } = await getRecord(page, "3901234567");
+  assert.equal(application.status, "applied");
+  assert.deepEqual(
+    application.events.map(({ status, applies, views, source }) => ({ status, applies, views, source })),
+    [{ status: "applied", applies: 87, views: 1234, source: "easy_apply" }]
+  );
+
+  // LinkedIn's confirmation dialog follows, and is not counted twice
+  page.document.body.insertAdjacentHTML(
+    "beforeend",
+    '<div class="artdeco-modal" role="dialog"><h2>Application sent</h2></div>'
+  );
+  await delay(SETTLE_MS);
+  assert.equal((await getRecord(page, "3901234567")).application.events.length, 1);
+  assert.match(page.panel().querySelector(".application-snapshot").textContent, /with Easy Apply at 87 applicants/);
+});
@@ -0,0 +1,33 @@
+// The LRU cache of recently captured stats kept by both service workers
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadSharedModules } = require("./helpers/fake-chrome");
+
+function loadCache() {
+  return loadSharedModules(["stats-cache.js"], { Date }).JobStatsCache;
+}
+
+test("the least recently read job is evicted first", () => {
+  const JobStatsCache = loadCache();
+  const cache = new JobStatsCache(2);
+  cache.set(1, { applies: 1 });
+  cache.set("2", { applies: 2 });
+  assert.equal(cache.get("1").applies, 1);
+  cache.set(3, { applies: 3 });
+
+  assert.equal(cache.get(2), null);
+  assert.deepEqual([cache.get(1).applies, cache.get(3).applies], [1, 3]);
+});
+
+test("entries older than the lifetime are dropped, and a shorter lifetime applies to existing entries", (t) => {
+  mock.timers.enable({ apis: ["Date"], now: 0 });
+  t.after(() => mock.timers.reset());
+  const JobStatsCache = loadCache();
+  const cache = new JobStatsCache(10, 60000);
+  cache.set(1, { applies: 1 });
+
+  mock.timers.tick(30000);
+  assert.equal(cache.get(1).applies, 1);
+  cache.ttl = 10000;
+  assert.equal(cache.get(1), null);
+});
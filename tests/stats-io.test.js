@@ -0,0 +1,179 @@
+// Export files written from the popup, and their validation when imported again
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { IDBFactory, IDBKeyRange } = require("fake-indexeddb");
+const { loadSharedModules } = require("./helpers/fake-chrome");
+
+const NOW = Date.UTC(2024, 5, 10, 12);
+const HEADER = "jobId,observedAt,views,applies,title";
+
+function loadModules() {
+  const context = loadSharedModules(["stats-io.js", "stats-store.js", "job-application.js"], { indexedDB: new IDBFactory(), IDBKeyRange });
+  return { JobStatsIO: context.JobStatsIO, history: new context.JobStatsHistory() };
+}
+
+function rejectedRows(result) {
+  return Array.from(result.rejected, ({ row, reason }) => `${row}: ${reason}`);
+}
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+test("CSV rows with the wrong number of columns or bad values are reported, the rest imported", () => {
+  const { JobStatsIO } = loadModules();
+  const result = JobStatsIO.parseCsv([
+    HEADER,
+    "101,2024-06-10T12:00:00.000Z,500,40,Designer",
+    "101,2024-06-10T13:00:00.000Z,520",
+    "102,yesterday,10,1,Analyst",
+    "103,2024-06-10T12:00:00.000Z,ten,1,Analyst",
+    "job-104,2024-06-10T12:00:00.000Z,10,1,Analyst",
+    "105,2024-06-10T12:00:00.000Z,10,-1,Analyst",
+    "",
+    "106,2024-06-10T12:00:00.000Z,,,\"Engineer, \"\"Platform\"\"\"",
+  ].join("\r\n"));
+
+  assert.deepEqual(rejectedRows(result), [
+    "line 3: expected 5 columns, found 3",
+    "line 4: missing or invalid timestamp",
+    "line 5: invalid count \"ten\"",
+    "line 6: missing or invalid jobId",
+    "line 7: invalid count \"-1\"",
+  ]);
+  assert.deepEqual(plain(result.records), [
+    { jobId: "101", details: { title: "Designer" }, observations: [{ timestamp: NOW, views: 500, applies: 40 }] },
+    { jobId: "106", details: { title: "Engineer, \"Platform\"" }, observations: [{ timestamp: NOW, views: null, applies: null }] },
+  ]);
+  assert.throws(() => JobStatsIO.parseCsv("jobId,views\r\n1,2\r\n"), /CSV is missing columns: observedAt, applies/);
+});
+
+test("JSON jobs without an observations list or with malformed observations are reported", () => {
+  const { JobStatsIO } = loadModules();
+  const file = (jobs, extra = {}) => JSON.stringify({ format: "linkedin-job-stats", version: 1, jobs, ...extra });
+  const result = JobStatsIO.parseJson(file([
+    { jobId: "201", details: { title: "QA", reposted: "true", listedAt: "2024-06-01T00:00:00Z", salary: "secret" }, observations: [
+      { timestamp: NOW, views: 5, applies: 1 },
+      null,
+      { timestamp: -5, views: 5, applies: 1 },
+      { timestamp: NOW + 1, views: 1.5, applies: 1 },
+    ] },
+    { jobId: "202" },
+    { jobId: 203, observations: [{ timestamp: "2024-06-10T12:00:00Z", views: "7", applies: null }] },
+  ]));
+
+  assert.deepEqual(rejectedRows(result), [
+    "jobs[0].observations[1]: missing or invalid timestamp",
+    "jobs[0].observations[2]: missing or invalid timestamp",
+    "jobs[0].observations[3]: invalid count \"1.5\"",
+    "jobs[1]: missing observations list",
+  ]);
+  assert.deepEqual(plain(result.records[0].details), { title: "QA", listedAt: Date.UTC(2024, 5, 1), reposted: true });
+  assert.deepEqual(plain(result.records[1]), { jobId: "203", details: null, observations: [{ timestamp: NOW, views: 7, applies: null }] });
+
+  assert.throws(() => JobStatsIO.parseJson("{"), /not valid JSON/);
+  assert.throws(() => JobStatsIO.parseJson(JSON.stringify({ jobs: [] })), /not a LinkedIn Job Stats export/);
+  assert.throws(() => JobStatsIO.parseJson(file([], { version: 99 })), /Unsupported export version: 99/);
+});
+
+test("duplicate timestamps, in the file or already stored, are merged once", async () => {
+  const { JobStatsIO, history } = loadModules();
+  await history.recordObservation({ jobId: "301", timestamp: NOW, views: 100, applies: 10 });
+
+  const { records, rejected } = JobStatsIO.parseCsv([
+    HEADER,
+    "301,2024-06-10T12:00:00.000Z,100,10,",
+    "301,2024-06-10T13:00:00.000Z,120,12,",
+    "301,2024-06-10T13:00:00.000Z,120,12,",
+  ].join("\n"));
+  assert.deepEqual(rejected.length, 0);
+
+  assert.deepEqual({ ...await history.importRecords(records) }, { jobs: 1, added: 1, duplicates: 2 });
+  assert.equal((await history.getJob("301")).observations.length, 2);
+});
+
+test("text starting like a formula, or with a tab before one, is escaped in the CSV and restored on import", () => {
+  const { JobStatsIO } = loadModules();
+  const records = [{
+    jobId: "401",
+    firstSeen: NOW,
+    lastSeen: NOW,
+    details: { title: "=HYPERLINK(\"http://x\")", company: "+Plus, Inc", companyUrn: "urn:li:fsd_company:9", location: "-Remote", workplaceType: "\t=1+1", jobState: "@open", reposted: false },
+    observations: [{ timestamp: NOW, views: 3, applies: null }],
+  }];
+
+  const csv = JobStatsIO.toCsv(records);
+  const row = csv.split("\r\n")[1];
+  assert.match(row, /^401,2024-06-10T12:00:00\.000Z,3,,"'=HYPERLINK\(""http:\/\/x""\)","'\+Plus, Inc",urn:li:fsd_company:9,'-Remote,'\t=1\+1,/);
+  assert.match(row, /,false,'@open,/);
+
+  const { records: imported, rejected } = JobStatsIO.parseCsv(csv);
+  assert.deepEqual(rejected.length, 0);
+  assert.deepEqual(plain(imported[0].details), {
+    title: "=HYPERLINK(\"http://x\")",
+    company: "+Plus, Inc",
+    companyUrn: "urn:li:fsd_company:9",
+    location: "-Remote",
+    workplaceType: "\t=1+1",
+    reposted: false,
+    jobState: "@open",
+  });
+});
+
+test("application status, note and applied snapshot survive a CSV and a JSON round trip", async () => {
+  const { JobStatsIO, history } = loadModules();
+  const application = {
+    status: "interviewing",
+    note: "=Call back\nFriday, 10am",
+    updatedAt: NOW + 2000,
+    events: [
+      { status: "applied", timestamp: NOW + 1000, views: 3, applies: 1, source: "easy-apply" },
+      { status: "interviewing", timestamp: NOW + 2000, views: 5, applies: 2 },
+    ],
+  };
+  const records = [
+    { jobId: "501", firstSeen: NOW, lastSeen: NOW, details: null, observations: [{ timestamp: NOW, views: 3, applies: 1 }], application },
+    { jobId: "502", firstSeen: NOW, lastSeen: NOW, observations: [], application: { status: "saved", note: "", updatedAt: NOW, events: [] } },
+  ];
+
+  const csv = JobStatsIO.parseCsv(JobStatsIO.toCsv(records));
+  assert.deepEqual(csv.rejected.length, 0);
+  assert.deepEqual(plain(csv.records[0].application), {
+    status: "interviewing",
+    note: "=Call back\nFriday, 10am",
+    updatedAt: NOW + 2000,
+    events: [{ status: "applied", timestamp: NOW + 1000, views: 3, applies: 1 }],
+  }, "only the applied snapshot is kept in CSV");
+  assert.deepEqual(plain(csv.records[1]), {
+    jobId: "502",
+    details: null,
+    observations: [],
+    application: { status: "saved", note: "", updatedAt: NOW, events: [] },
+  });
+
+  const json = JobStatsIO.parseJson(JobStatsIO.toJson(records));
+  assert.deepEqual(json.rejected.length, 0);
+  assert.deepEqual(plain(json.records[0].application), application);
+
+  assert.deepEqual({ ...await history.importRecords(json.records) }, { jobs: 2, added: 1, duplicates: 0 });
+  assert.equal((await history.getJob("502")).application.status, "saved");
+});
+
+test("an unknown application status is reported without losing the job's observations", () => {
+  const { JobStatsIO } = loadModules();
+  const result = JobStatsIO.parseJson(JSON.stringify({ format: "linkedin-job-stats", version: 1, jobs: [
+    { jobId: "601", observations: [{ timestamp: NOW, views: 1, applies: 1 }], application: { status: "ghosted", events: [] } },
+    { jobId: "602", observations: [], application: { status: "applied", events: [{ status: "applied", timestamp: "soon" }] } },
+  ] }));
+
+  assert.deepEqual(rejectedRows(result), [
+    "jobs[0].application: invalid application status \"ghosted\"",
+    "jobs[1].application: missing or invalid application timestamp",
+  ]);
+  assert.deepEqual(plain(result.records), [
+    { jobId: "601", details: null, observations: [{ timestamp: NOW, views: 1, applies: 1 }] },
+  ]);
+
+  const csv = JobStatsIO.parseCsv(`${HEADER},applicationStatus\r\n603,,,,,ghosted\r\n`);
+  assert.deepEqual(rejectedRows(csv), ["line 2: invalid application status \"ghosted\""]);
+});
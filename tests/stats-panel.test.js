@@ -0,0 +1,120 @@
+// The panel's closed shadow root, its themes and its accessibility
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { IDBFactory, IDBKeyRange } = require("fake-indexeddb");
+const { createFakeChrome, loadServiceWorker, delay } = require("./helpers/fake-chrome");
+const { loadFixture, openJobsPage } = require("./helpers/jobs-page");
+const { checkAccessibility } = require("./helpers/axe");
+
+const BUILD_DIR = path.join(__dirname, "..", "Linkedin Job Stats (CDP)");
+const URL = "https://www.linkedin.com/jobs/view/3901234567/";
+
+async function openPage(t, options = {}) {
+  const chrome = createFakeChrome({ tabs: [{ id: 1, url: URL }] });
+  loadServiceWorker(path.join(BUILD_DIR, "background.js"), chrome, { indexedDB: new IDBFactory(), IDBKeyRange });
+  const page = openJobsPage({ dir: BUILD_DIR, chrome, url: URL, ...options });
+  t.after(() => page.close());
+  await delay(50);
+  return page;
+}
+
+function getHost(page) {
+  return page.document.querySelector("linkedin-job-stats-panel");
+}
+
+test("the panel, its styles and its glass filter stay inside a closed shadow root", async (t) => {
+  const page = await openPage(t, {
+    html: '<style>.stats-header, .panel { display: none; }</style><div class="stats-header">LinkedIn</div>',
+  });
+
+  assert.equal(getHost(page).shadowRoot, null);
+  assert.equal(page.document.querySelector(".panel"), null);
+  assert.equal(page.document.getElementById("glass-distortion"), null);
+  assert.equal(page.document.querySelectorAll("style").length, 1, "no styles added to the page");
+  assert.ok(page.panelRoot().getElementById("glass-distortion"));
+  assert.equal(page.document.querySelectorAll(".stats-header").length, 1, "LinkedIn's own element is untouched");
+  assert.deepEqual(page.errors, []);
+});
+
+test("the theme follows LinkedIn switching between light and dark", async (t) => {
+  const page = await openPage(t);
+  const root = page.document.documentElement;
+  assert.equal(getHost(page).dataset.theme, "light");
+
+  root.classList.add("theme", "theme--dark");
+  await delay(0);
+  assert.equal(getHost(page).dataset.theme, "dark");
+
+  root.classList.replace("theme--dark", "theme--light");
+  await delay(0);
+  assert.equal(getHost(page).dataset.theme, "light");
+});
+
+test("without a LinkedIn theme the OS decides, and high contrast wins over dark", async (t) => {
+  const dark = await openPage(t, { media: ["(prefers-color-scheme: dark)"] });
+  assert.equal(getHost(dark).dataset.theme, "dark");
+
+  const contrast = await openPage(t, { media: ["(prefers-color-scheme: dark)", "(prefers-contrast: more)"] });
+  contrast.document.documentElement.classList.add("theme--dark");
+  await delay(0);
+  assert.equal(getHost(contrast).dataset.theme, "high-contrast");
+  assert.match(contrast.panelRoot().querySelector("style").textContent, /@media \(prefers-reduced-motion: reduce\)/);
+});
+
+test("the standard panel with stats, watch button and application controls passes axe checks", async (t) => {
+  const buildDir = path.join(__dirname, "..", "Linkedin Job Stats");
+  const fixture = loadFixture("endpoints/job-posting");
+  const chrome = createFakeChrome();
+  loadServiceWorker(path.join(buildDir, "background.js"), chrome, { indexedDB: new IDBFactory(), IDBKeyRange });
+  const page = openJobsPage({ dir: buildDir, chrome, url: URL, fixtures: [fixture] });
+  t.after(() => page.close());
+  await delay(1500);
+  await page.xhr(fixture.url);
+  await delay(100);
+
+  const panel = page.panel();
+  assert.equal(panel.getAttribute("role"), "region");
+  assert.equal(page.panelRoot().getElementById(panel.getAttribute("aria-labelledby")).textContent, "LinkedIn Job Stats");
+  assert.deepEqual(
+    Array.from(panel.querySelectorAll(".stats-content dl dt"), (term) => term.textContent).slice(0, 2),
+    ["Views:", "Applicants:"]
+  );
+  assert.deepEqual(await checkAccessibility(page.panelRoot()), []);
+});
+
+test("new stats are read out through a polite live region", async (t) => {
+  const fixture = loadFixture("endpoints/job-posting");
+  const chrome = createFakeChrome({ tabs: [{ id: 1, url: URL }] });
+  loadServiceWorker(path.join(BUILD_DIR, "background.js"), chrome, { indexedDB: new IDBFactory(), IDBKeyRange });
+  const page = openJobsPage({ dir: BUILD_DIR, chrome, url: URL });
+  t.after(() => page.close());
+  await delay(50);
+
+  const live = page.panel().querySelector("[aria-live]");
+  assert.equal(live.getAttribute("aria-live"), "polite");
+  assert.equal(live.textContent, "");
+  assert.deepEqual(await checkAccessibility(page.panelRoot()), [], "the waiting panel");
+
+  chrome.debugger.respond(1, "req-posting", fixture.url, fixture.response);
+  await delay(600);
+  assert.equal(live.textContent, "87 applicants, 1,234 views for Senior Frontend Engineer");
+
+  page.panel().querySelector(".collapse-btn").click();
+  assert.deepEqual(await checkAccessibility(page.panelRoot()), [], "the collapsed pill");
+});
+
+test("a panel shown again while the closing one fades out stays open", async (t) => {
+  const page = await openPage(t);
+  const closing = getHost(page);
+
+  page.window.chrome.runtime.onMessage.dispatch({ type: "PANEL_COMMAND", command: "toggle-panel" });
+  page.window.chrome.runtime.onMessage.dispatch({ type: "PANEL_COMMAND", command: "toggle-panel" });
+  await delay(350);
+
+  const hosts = page.document.querySelectorAll("linkedin-job-stats-panel");
+  assert.equal(hosts.length, 1);
+  assert.notEqual(hosts[0], closing);
+  assert.ok(page.panel());
+  assert.deepEqual(page.errors, []);
+});
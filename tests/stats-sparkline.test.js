@@ -0,0 +1,46 @@
+// The SVG sparkline drawn from a job's views and applicants history
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadSharedModules } = require("./helpers/fake-chrome");
+
+function loadSparkline() {
+  return loadSharedModules(["stats-sparkline.js"]).JobStatsSparkline;
+}
+
+function points(svg, dashed) {
+  const line = svg.match(dashed ? /<polyline points="([^"]+)"[^>]*stroke-dasharray/ : /<polyline points="([^"]+)"(?![^>]*stroke-dasharray)/);
+  return line ? line[1] : null;
+}
+
+test("each series is scaled to its own range across the chart", () => {
+  const JobStatsSparkline = loadSparkline();
+  const svg = JobStatsSparkline.render([
+    { timestamp: 0, views: 100, applies: 10 },
+    { timestamp: 50, views: 300, applies: 15 },
+    { timestamp: 100, views: 200, applies: 20 },
+  ], { width: 106, height: 46, padding: 3 });
+
+  assert.equal(points(svg, false), "3.0,43.0 53.0,23.0 103.0,3.0");
+  assert.equal(points(svg, true), "3.0,43.0 53.0,3.0 103.0,23.0");
+  assert.match(svg, /aria-label="Views and applicants over 3 observations"/);
+});
+
+test("a flat series runs through the middle and a series with gaps keeps its known points", () => {
+  const JobStatsSparkline = loadSparkline();
+  const svg = JobStatsSparkline.render([
+    { timestamp: 0, views: 50, applies: null },
+    { timestamp: 10, views: 50, applies: 4 },
+    { timestamp: 20, views: 50, applies: 6 },
+  ], { width: 26, height: 26, padding: 3 });
+
+  assert.equal(points(svg, true), "3.0,13.0 13.0,13.0 23.0,13.0");
+  assert.equal(points(svg, false), "13.0,23.0 23.0,3.0");
+});
+
+test("nothing is drawn without two readings of either count", () => {
+  const JobStatsSparkline = loadSparkline();
+
+  assert.equal(JobStatsSparkline.render([{ timestamp: 0, views: 1, applies: 1 }]), "");
+  assert.equal(JobStatsSparkline.render([{ timestamp: 0, views: 1 }, { timestamp: 1, applies: 2 }]), "");
+  assert.equal(JobStatsSparkline.render(null), "");
+});
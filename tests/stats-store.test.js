@@ -0,0 +1,76 @@
+// The IndexedDB history of observations kept by both service workers
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { IDBFactory, IDBKeyRange } = require("fake-indexeddb");
+const { loadSharedModules } = require("./helpers/fake-chrome");
+
+const MINUTE = 60 * 1000;
+const NOW = Date.UTC(2024, 5, 10, 12);
+
+function createHistory() {
+  const context = loadSharedModules(["stats-store.js"], { indexedDB: new IDBFactory(), IDBKeyRange });
+  return { JobStatsHistory: context.JobStatsHistory, history: new context.JobStatsHistory() };
+}
+
+function readings(record) {
+  return Array.from(record.observations, ({ timestamp, views, applies }) => [(timestamp - NOW) / MINUTE, views, applies]);
+}
+
+test("observations are kept in time order, repeats within a minute collapsed", async () => {
+  const { history } = createHistory();
+  await history.recordObservation({ jobId: 7, timestamp: NOW + 10 * MINUTE, views: 200, applies: 20 });
+  await history.recordObservation({ jobId: "7", timestamp: NOW, views: 100, applies: 10 });
+  await history.recordObservation({ jobId: "7", timestamp: NOW + 10 * MINUTE + 30000, views: 200, applies: 20 });
+  await history.recordObservation({ jobId: "7", timestamp: NOW + 10 * MINUTE, views: 999, applies: 99 });
+  const record = await history.recordObservation({ jobId: "7", timestamp: NOW + 12 * MINUTE, views: 200, applies: 20 });
+
+  assert.deepEqual(readings(record), [[0, 100, 10], [10, 200, 20], [12, 200, 20]]);
+  assert.deepEqual([record.firstSeen, record.lastSeen], [NOW, NOW + 12 * MINUTE]);
+  await assert.rejects(history.recordObservation({ views: 1 }), /missing a job ID/);
+});
+
+test("missing counts are stored as null and later details keep earlier fields", async () => {
+  const { JobStatsHistory, history } = createHistory();
+  await history.recordObservation({ jobId: "8", timestamp: NOW, views: 50, applies: 5, details: { title: "Designer", company: "Acme" } });
+  await history.recordObservation({ jobId: "8", timestamp: NOW + MINUTE, views: undefined, applies: NaN, details: { title: "Senior Designer", company: null } });
+
+  const stats = JobStatsHistory.toStats(await history.getJob(8));
+  assert.deepEqual([stats.views, stats.applies], [null, null]);
+  assert.deepEqual({ ...stats.details }, { title: "Senior Designer", company: "Acme" });
+  assert.equal(JobStatsHistory.toStats(null), null);
+});
+
+test("imports merge observations by timestamp and report what was new", async () => {
+  const { history } = createHistory();
+  await history.recordObservation({ jobId: "9", timestamp: NOW, views: 100, applies: 10 });
+
+  const result = await history.importRecords([
+    { jobId: "9", observations: [{ timestamp: NOW, views: 100, applies: 10 }, { timestamp: NOW + 30000, views: 100, applies: 10 }] },
+    { jobId: "10", details: { title: "Analyst" }, observations: [{ timestamp: NOW - MINUTE, views: 40, applies: 4 }] },
+  ]);
+
+  assert.deepEqual({ ...result }, { jobs: 2, added: 2, duplicates: 1 });
+  assert.deepEqual(readings(await history.getJob("9")), [[0, 100, 10], [0.5, 100, 10]], "imports are not collapsed");
+  assert.deepEqual(Object.keys(await history.getJobs(["9", "10", "11"])), ["9", "10"]);
+});
+
+test("an imported application replaces an older stored one and keeps the status changes of both", async () => {
+  const { history } = createHistory();
+  const applied = { status: "applied", timestamp: NOW, views: 10, applies: 1, source: "easy-apply" };
+  const imported = (status, updatedAt, events) => [{ jobId: "12", observations: [], application: { status, note: status, updatedAt, events } }];
+  await history.updateJob("12", (job) => {
+    job.application = { status: "applied", note: "", updatedAt: NOW, events: [applied] };
+  });
+
+  await history.importRecords(imported("saved", NOW - MINUTE, [{ status: "saved", timestamp: NOW - MINUTE, views: 5, applies: 0 }]));
+  let { application } = await history.getJob("12");
+  assert.deepEqual([application.status, application.note], ["applied", ""], "an older application does not win");
+  assert.deepEqual(Array.from(application.events, (event) => event.status), ["saved", "applied"]);
+
+  const result = await history.importRecords(imported("offer", NOW + MINUTE, [{ status: "applied", timestamp: NOW, views: 10, applies: 1 }]));
+  ({ application } = await history.getJob("12"));
+  assert.deepEqual({ ...result }, { jobs: 1, added: 0, duplicates: 0 });
+  assert.deepEqual([application.status, application.note, application.updatedAt], ["offer", "offer", NOW + MINUTE]);
+  assert.deepEqual(application.events.length, 2, "the same applied event is not repeated");
+  assert.deepEqual({ ...application.events[1] }, applied);
+});
@@ -0,0 +1,49 @@
+// Applicant velocity, conversion and posting age computed from a job's history
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadSharedModules } = require("./helpers/fake-chrome");
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = Date.UTC(2024, 5, 10, 12);
+
+function loadTrends() {
+  return loadSharedModules(["stats-trends.js"]).JobStatsTrends;
+}
+
+test("the delta compares the last two observations and skips missing counts", () => {
+  const JobStatsTrends = loadTrends();
+  const delta = JobStatsTrends.getDelta([
+    { timestamp: NOW - 3 * DAY, views: 100, applies: 10 },
+    { timestamp: NOW, views: null, applies: 52 },
+  ]);
+
+  assert.deepEqual({ ...delta }, { applies: 42, views: null, elapsed: 3 * DAY });
+  assert.equal(JobStatsTrends.describeDelta(delta), "+42 applicants in 3 days");
+  assert.equal(JobStatsTrends.describeDelta({ applies: null, elapsed: 90 * 60 * 1000 }), "Last seen 2 hours ago");
+  assert.equal(JobStatsTrends.describeDelta(JobStatsTrends.getDelta([{ timestamp: NOW, applies: 1 }])), "First time seeing this job");
+});
+
+test("applies per day count from the listing date, else across at least an hour of history", () => {
+  const JobStatsTrends = loadTrends();
+  const observations = [
+    { timestamp: NOW - 2 * DAY, applies: 10 },
+    { timestamp: NOW, applies: 30 },
+  ];
+
+  assert.equal(JobStatsTrends.getAppliesPerDay(observations, NOW - 10 * DAY), 3);
+  assert.equal(JobStatsTrends.getAppliesPerDay(observations, null), 10);
+  assert.equal(JobStatsTrends.getAppliesPerDay([{ timestamp: NOW - 1000, applies: 1 }, { timestamp: NOW, applies: 5 }]), null);
+  assert.equal(JobStatsTrends.getConversion(0, 5), null);
+  assert.equal(JobStatsTrends.getConversion(200, 5), 0.025);
+});
+
+test("a reposted job reports both its current and its original age", () => {
+  const JobStatsTrends = loadTrends();
+  const age = JobStatsTrends.getPostingAge({ listedAt: NOW - DAY, originalListedAt: NOW - 30 * DAY, reposted: true }, NOW);
+
+  assert.deepEqual({ ...age }, { age: DAY, originalAge: 30 * DAY, reposted: true });
+  assert.equal(JobStatsTrends.getPostingAge({ listedAt: "yesterday" }, NOW), null);
+  assert.equal(JobStatsTrends.formatDuration(20 * 1000), "under a minute");
+  assert.equal(JobStatsTrends.formatDuration(HOUR), "1 hour");
+});
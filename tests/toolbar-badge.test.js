@@ -0,0 +1,87 @@
+// The toolbar badge's applicant count and its colour against the options page limits
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeChrome, loadSharedModules } = require("./helpers/fake-chrome");
+
+const COLORS = { low: "#2e7d32", medium: "#ef8f00", high: "#c62828" };
+
+function loadBadge() {
+  const chrome = createFakeChrome();
+  const colors = new Map();
+  chrome.action.setBadgeBackgroundColor = async ({ tabId, color }) => colors.set(tabId, color);
+
+  // Through the global so mock.timers reaches the module
+  const context = loadSharedModules(["settings.js", "toolbar-badge.js"], { chrome, console, setTimeout: (...args) => setTimeout(...args) });
+  return { chrome, colors, ToolbarBadge: context.ToolbarBadge, JobStatsSettings: context.JobStatsSettings };
+}
+
+test("counts below the green limit are low, above the red limit high, and the limits themselves medium", () => {
+  const { ToolbarBadge } = loadBadge();
+  const thresholds = { low: 50, high: 500 };
+  const levels = [0, 49, 50, 500, 501].map((applies) => ToolbarBadge.getLevel(applies, thresholds));
+
+  assert.deepEqual(levels, ["low", "low", "medium", "medium", "high"]);
+  assert.equal(ToolbarBadge.getLevel(null, thresholds), "unknown");
+  assert.equal(ToolbarBadge.getLevel(-1, thresholds), "unknown");
+  assert.equal(ToolbarBadge.getLevel(7, { low: 7, high: 7 }), "medium");
+});
+
+test("only a valid low <= high pair replaces the default limits", () => {
+  const { ToolbarBadge } = loadBadge();
+  const normalize = (value) => ({ ...ToolbarBadge.normalizeThresholds(value) });
+
+  assert.deepEqual(normalize({ low: 10, high: 20 }), { low: 10, high: 20 });
+  assert.deepEqual(normalize({ low: 0, high: 0 }), { low: 0, high: 0 });
+  assert.deepEqual(normalize({ low: 30, high: 20 }), { low: 50, high: 500 });
+  assert.deepEqual(normalize({ low: "10", high: 20 }), { low: 50, high: 500 });
+  assert.deepEqual(normalize({ low: -1, high: 20 }), { low: 50, high: 500 });
+  assert.deepEqual(normalize(null), { low: 50, high: 500 });
+  assert.deepEqual(["999", "1k", "1.5k", "12k", "2m"], [999, 1000, 1500, 12345, 2000000].map(ToolbarBadge.formatCount));
+});
+
+test("the badge colour follows the limits saved on the options page", async () => {
+  const { chrome, colors, ToolbarBadge, JobStatsSettings } = loadBadge();
+
+  await ToolbarBadge.update(1, { applies: 60 });
+  assert.equal(chrome.badges.get(1), "60");
+  assert.equal(colors.get(1), COLORS.medium);
+
+  await JobStatsSettings.update({ badgeLow: 100, badgeHigh: 200 });
+  await ToolbarBadge.update(1, { applies: 60 });
+  assert.equal(colors.get(1), COLORS.low);
+  await ToolbarBadge.update(1, { applies: 201 });
+  assert.equal(colors.get(1), COLORS.high);
+
+  await ToolbarBadge.update(1, { applies: null });
+  assert.equal(chrome.badges.get(1), "");
+});
+
+test("the badge title adds the count to the manifest's title, which says what the CDP button does", async () => {
+  const { chrome, ToolbarBadge } = loadBadge();
+  chrome.manifest = { action: { default_title: "LinkedIn Job Stats: show or hide the panel" } };
+
+  await ToolbarBadge.update(1, { applies: 1234 });
+  assert.equal(chrome.titles.get(1), "LinkedIn Job Stats: show or hide the panel\n1,234 applicants");
+  await ToolbarBadge.clear(1);
+  assert.equal(chrome.titles.get(1), "LinkedIn Job Stats: show or hide the panel");
+});
+
+test("a flashed confirmation gives way to the count again", async (t) => {
+  mock.timers.enable({ apis: ["setTimeout"] });
+  t.after(() => mock.timers.reset());
+  const { chrome, colors, ToolbarBadge } = loadBadge();
+  await ToolbarBadge.update(1, { applies: 60 });
+
+  await ToolbarBadge.flash(1, "Copied job ID and stats");
+  assert.equal(chrome.badges.get(1), "✓");
+  assert.equal(colors.get(1), COLORS.low);
+  assert.equal(chrome.titles.get(1), "LinkedIn Job Stats\nCopied job ID and stats");
+  await ToolbarBadge.flash(2, "Could not copy to the clipboard", true);
+  assert.equal(chrome.badges.get(2), "!");
+
+  mock.timers.tick(2500);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(chrome.badges.get(1), "60");
+  assert.equal(colors.get(1), COLORS.medium);
+  assert.equal(chrome.badges.get(2), "");
+});
@@ -0,0 +1,144 @@
+// Scheduled refresh of watched jobs through an open LinkedIn tab
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { IDBFactory, IDBKeyRange } = require("fake-indexeddb");
+const { createFakeChrome, createContentChrome, loadServiceWorker, delay } = require("./helpers/fake-chrome");
+const { loadFixture } = require("./helpers/jobs-page");
+
+const BACKGROUND = path.join(__dirname, "..", "Linkedin Job Stats", "background.js");
+const CDP_BACKGROUND = path.join(__dirname, "..", "Linkedin Job Stats (CDP)", "background.js");
+const FEED_TAB = { id: 3, url: "https://www.linkedin.com/feed/" };
+const SETTLE_MS = 50;
+
+function startWorker(tabs = [FEED_TAB], background = BACKGROUND) {
+  const chrome = createFakeChrome({ tabs });
+  loadServiceWorker(background, chrome, { indexedDB: new IDBFactory(), IDBKeyRange });
+  return { chrome, content: createContentChrome(chrome, 1) };
+}
+
+// What fetchJobPostings would return for the recorded posting with the given counts
+function answerWith(chrome, counts) {
+  const fixture = loadFixture("endpoints/job-posting");
+  chrome.scripting.handler = async ({ args: [jobIds] }) => jobIds.map((jobId) => ({
+    jobId,
+    url: fixture.url,
+    payload: { data: Object.assign({}, fixture.response.data, counts), included: fixture.response.included },
+  }));
+}
+
+async function getEntries(content) {
+  return (await content.runtime.sendMessage({ type: "GET_WATCHLIST" })).entries;
+}
+
+test("the refresh alarm is scheduled when the worker starts", async () => {
+  const { chrome } = startWorker();
+  await delay(SETTLE_MS);
+
+  assert.equal(chrome.alarms.alarms.get("watchlist-refresh").periodInMinutes, 60);
+});
+
+test("watched jobs are refreshed through an open LinkedIn tab when the alarm fires", async () => {
+  const { chrome, content } = startWorker();
+  await content.runtime.sendMessage({ type: "WATCH_JOB", jobId: "3901234567" });
+
+  answerWith(chrome, { views: 1234, applies: 87 });
+  chrome.alarms.fire("watchlist-refresh");
+  await delay(SETTLE_MS);
+  answerWith(chrome, { views: 1300, applies: 95 });
+  chrome.alarms.fire("watchlist-refresh");
+  await delay(SETTLE_MS);
+
+  assert.equal(chrome.scripting.injections.length, 2);
+  assert.equal(chrome.scripting.injections[0].target.tabId, FEED_TAB.id);
+  assert.deepEqual(Array.from(chrome.scripting.injections[0].args[0]), ["3901234567"]);
+
+  const [entry] = await getEntries(content);
+  assert.equal(entry.title, "Senior Frontend Engineer");
+  assert.equal(entry.latest.applies, 95);
+  assert.equal(entry.previous.applies, 87);
+  assert.equal(entry.lastError, null);
+
+  const { record } = await content.runtime.sendMessage({ type: "GET_JOB_RECORD", jobId: "3901234567" });
+  assert.deepEqual(record.observations.map((observation) => observation.applies), [87, 95]);
+});
+
+test("a failed request is kept on the entry without losing its counts", async () => {
+  const { chrome, content } = startWorker();
+  await content.runtime.sendMessage({ type: "WATCH_JOB", jobId: "3901234567" });
+  answerWith(chrome, { views: 1234, applies: 87 });
+  await content.runtime.sendMessage({ type: "REFRESH_WATCHLIST" });
+
+  chrome.scripting.handler = async ({ args: [jobIds] }) => jobIds.map((jobId) => ({
+    jobId,
+    url: "https://www.linkedin.com/voyager/api/jobs/jobPostings/3901234567",
+    error: "LinkedIn answered 429",
+  }));
+  const result = await content.runtime.sendMessage({ type: "REFRESH_WATCHLIST" });
+
+  assert.equal(result.checked, 0);
+  const [entry] = await getEntries(content);
+  assert.equal(entry.lastError, "LinkedIn answered 429");
+  assert.equal(entry.latest.applies, 87);
+});
+
+test("nothing is fetched without an open LinkedIn tab", async () => {
+  const { chrome, content } = startWorker([]);
+  await content.runtime.sendMessage({ type: "WATCH_JOB", jobId: "3901234567" });
+
+  const result = await content.runtime.sendMessage({ type: "REFRESH_WATCHLIST" });
+
+  assert.equal(result.checked, 0);
+  assert.match(result.error, /Open a LinkedIn tab/);
+  assert.equal(chrome.scripting.injections.length, 0);
+});
+
+test("unwatching drops the job and the open job reports its watch state", async () => {
+  const { content } = startWorker();
+  await content.runtime.sendMessage({ type: "WATCH_JOB", jobId: "3901234567" });
+
+  let active = await content.runtime.sendMessage({ type: "ACTIVE_JOB_CHANGED", jobId: "3901234567" });
+  assert.equal(active.watched, true);
+
+  await content.runtime.sendMessage({ type: "UNWATCH_JOB", jobId: "3901234567" });
+  active = await content.runtime.sendMessage({ type: "ACTIVE_JOB_CHANGED", jobId: "3901234567" });
+  assert.equal(active.watched, false);
+  assert.deepEqual(await getEntries(content), []);
+});
+
+test("the CDP build keeps the same watchlist and refreshes it on the same schedule", async () => {
+  const { chrome, content } = startWorker([FEED_TAB], CDP_BACKGROUND);
+  await content.runtime.sendMessage({ type: "WATCH_JOB", jobId: "3901234567" });
+  await delay(SETTLE_MS);
+  assert.equal(chrome.alarms.alarms.get("watchlist-refresh").periodInMinutes, 60);
+
+  answerWith(chrome, { views: 1234, applies: 87 });
+  chrome.alarms.fire("watchlist-refresh");
+  await delay(SETTLE_MS);
+
+  const [entry] = await getEntries(content);
+  assert.equal(entry.latest.applies, 87);
+  assert.equal((await content.runtime.sendMessage({ type: "ACTIVE_JOB_CHANGED", jobId: "3901234567" })).watched, true);
+  const { records } = await content.runtime.sendMessage({ type: "GET_JOB_RECORDS", jobIds: ["3901234567"] });
+  assert.deepEqual(records["3901234567"].observations.map((observation) => observation.applies), [87]);
+});
+
+test("a notification that fails does not stop the watchlist check", async () => {
+  for (const background of [BACKGROUND, CDP_BACKGROUND]) {
+    const { chrome, content } = startWorker([FEED_TAB], background);
+    await content.runtime.sendMessage({ type: "ADD_ALERT_RULE", rule: { metric: "applies", type: "crosses", value: 90 } });
+    await content.runtime.sendMessage({ type: "WATCH_JOB", jobId: "3901234567" });
+    answerWith(chrome, { views: 1234, applies: 87 });
+    await content.runtime.sendMessage({ type: "REFRESH_WATCHLIST" });
+
+    chrome.notifications.create = async () => {
+      throw new Error("Notifications are turned off");
+    };
+    answerWith(chrome, { views: 1300, applies: 95 });
+    const result = await content.runtime.sendMessage({ type: "REFRESH_WATCHLIST" });
+
+    assert.equal(result.checked, 1, path.basename(path.dirname(background)));
+    const [entry] = await getEntries(content);
+    assert.deepEqual([entry.previous.applies, entry.latest.applies], [87, 95]);
+  }
+});